@@ -20,16 +20,33 @@ if (typeof (xmpp) !== 'object') {
   xmpp = require('simple-xmpp');
 }
 
-const IncomingHandlers = require('./lib/incoming-handlers');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Bookmarks = require('./lib/bookmarks');
+const Connection = require('./lib/connection');
+const DataForms = require('./lib/data-forms');
+const Discovery = require('./lib/discovery');
+const NS = require('./lib/namespaces');
+const RoomConfig = require('./lib/room-config');
 const packageJSON = require('./package.json');
 
+const CHAT_STATES = ['active', 'composing', 'paused', 'inactive', 'gone'];
+const ROLES = ['none', 'visitor', 'participant', 'moderator'];
+const AFFILIATIONS = ['none', 'outcast', 'member', 'admin', 'owner'];
+// the only headers an upload service may ask us to send with the PUT (XEP-0363)
+const UPLOAD_HEADERS = ['Authorization', 'Cookie', 'Expires'];
+// ms an upload may stall before it's given up on, unless the platform config has an `upload.timeout`
+const UPLOAD_TIMEOUT = 60000;
+
 const PlatformSchema = {
   "version": packageJSON.version,
   "messages": {
     "required": ['@type'],
     "properties": {
       "@type": {
-        "enum": ['connect', 'update', 'send', 'join', 'observe', 'request-friend', 'remove-friend', 'make-friend']
+        "enum": ['connect', 'update', 'send', 'join', 'leave', 'observe', 'configure', 'invite', 'decline',
+                 'add', 'delete', 'react', 'request-friend', 'remove-friend', 'make-friend']
       }
     }
   },
@@ -70,6 +87,22 @@ const PlatformSchema = {
           "resource": {
             "name": "resource",
             "type": "string"
+          },
+          "sendReceipts": {
+            "name": "sendReceipts",
+            "type": "boolean"
+          },
+          "carbons": {
+            "name": "carbons",
+            "type": "boolean"
+          },
+          "bookmarks": {
+            "name": "bookmarks",
+            "type": "boolean"
+          },
+          "omemo": {
+            "name": "omemo",
+            "type": "boolean"
           }
         }
       }
@@ -100,8 +133,8 @@ class XMPP {
     this.id = cfg.id; // actor
     this.debug = cfg.debug;
     this.sendToClient = cfg.sendToClient;
-    this.__forceDisconnect = false;
-    this.__channels = [];
+    this.__cfg = cfg;
+    this.__connections = {}; // keyed by full JID
   }
 
   /**
@@ -149,6 +182,22 @@ class XMPP {
    *     resource: 'phone'
    *   }
    * }
+   *
+   * Optional credential settings:
+   *
+   *  - `sendReceipts` (default `true`) acknowledge incoming messages which
+   *    request a delivery receipt (XEP-0184).
+   *  - `carbons` (default `false`) receive copies of messages sent and received
+   *    by our other logged in devices (XEP-0280).
+   *  - `bookmarks` (default `true`) send our bookmarked rooms (XEP-0402) to
+   *    the client once connected, and join those marked for autojoin.
+   *  - `omemo` (default `false`) end-to-end encrypt private messages with
+   *    OMEMO (XEP-0384), and decrypt those we receive. The keys are kept
+   *    through the `omemo` store of the platform config, an object with
+   *    `load(jid, cb)` and `save(jid, state, cb)` functions, without one they
+   *    only last as long as the connection. OMEMO needs the libsignal package,
+   *    an optional (GPL-3.0 licensed) dependency which is only loaded when
+   *    enabled, installs that leave it out can't use OMEMO.
    **/
   get schema() {
     return PlatformSchema;
@@ -185,7 +234,7 @@ class XMPP {
    */
   connect(job, credentials, done) {
     this.debug('connect() called for ' + job.actor['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
+    this.__getClient(job.actor['@id'], credentials, done, (client) => {
       done();
     });
   };
@@ -195,6 +244,20 @@ class XMPP {
    *
    * Join a room, optionally defining a display name for that room.
    *
+   * The room `password`, and `history` limits for the discussion history the
+   * room sends on joining (`maxstanzas`, `seconds` or `since`), can be set on
+   * the object. If the room refuses us, a `join` activity with an error
+   * object is sent to the client, its `condition` says why (eg.
+   * 'not-authorized' for a missing or wrong password).
+   *
+   * Once in, everyone in the room (ourselves included) is sent as a `join`
+   * activity with an `occupant` object, and so are occupants joining later,
+   * occupants leaving are sent as `leave` activities.
+   *
+   * Joining a room which doesn't exist yet creates it. It's then configured
+   * with the settings of the objects `configuration` (see `configure`), or
+   * the servers defaults.
+   *
    * @param {object} job activity streams object // TODO LINK
    * @param {object} credentials credentials object // TODO LINK
    * @param {object} done callback when job is done // TODO LINK
@@ -219,17 +282,114 @@ class XMPP {
    *   }
    * }
    *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'join',
+   *   actor: {
+   *     '@type': 'person'
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     displayName: 'Mr. Pimp'
+   *   },
+   *   object: {
+   *     '@type': 'join',
+   *     password: 'open sesame',
+   *     history: {
+   *       maxstanzas: 20
+   *     }
+   *   },
+   *   target: {
+   *     '@type': 'room'
+   *     '@id': 'SecretChatRoom@muc.jabber.net',
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'join',
+   *   actor: {
+   *     '@type': 'person'
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     displayName: 'Mr. Pimp'
+   *   },
+   *   object: {
+   *     '@type': 'join',
+   *     configuration: {
+   *       name: 'The Secret Room',
+   *       persistent: true,
+   *       membersOnly: true
+   *     }
+   *   },
+   *   target: {
+   *     '@type': 'room'
+   *     '@id': 'NewChatRoom@muc.jabber.net',
+   *   }
+   * }
+   *
    */
   join(job, credentials, done) {
     this.debug('join() called for ' + job.actor['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
+    if (this.__queueIfReconnecting('join', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
       // send join
       this.debug('sending join to ' + `${job.target['@id']}/${job.actor.displayName}`);
-      let id = job.target['@id'].split('/')[0];
-      client.join(
-          `${job.target['@id']}/${job.actor.displayName || id}`
-          // TODO optional passwords not handled for now
-      );
+      const room = job.target['@id'].split('/')[0];
+      const options = job.object || {};
+      let history;
+      try {
+        history = historyLimits(options.history);
+      } catch (e) {
+        return done(e.message);
+      }
+      connection.joinRoom(room, job.actor.displayName || room, {
+        password: options.password,
+        history: history,
+        configuration: RoomConfig.changes(options.configuration)
+      });
+      done();
+    });
+  };
+
+
+  /**
+   * Function: leave
+   *
+   * Leave a room, with an optional status message as the `content` of the
+   * object. Once the room confirms we've left, a `leave` activity is sent to
+   * the client.
+   *
+   * @param {object} job activity streams object // TODO LINK
+   * @param {object} credentials credentials object // TODO LINK
+   * @param {object} done callback when job is done // TODO LINK
+   *
+   * @example
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'leave',
+   *   actor: {
+   *     '@type': 'person'
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *   },
+   *   object: {
+   *     '@type': 'message',
+   *     content: 'off to bed'
+   *   },
+   *   target: {
+   *     '@type': 'room'
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *   }
+   * }
+   *
+   */
+  leave(job, credentials, done) {
+    this.debug('leave() called for ' + job.actor['@id']);
+    if (this.__queueIfReconnecting('leave', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
+      const room = job.target['@id'].split('/')[0];
+      const joined = connection.rooms[room];
+      const nick = (joined) ? joined.nick : job.actor.displayName || room;
+      this.debug('sending leave to ' + `${room}/${nick}`);
+      connection.leaveRoom(room, nick, (job.object) ? job.object.content : undefined);
       done();
     });
   };
@@ -240,6 +400,33 @@ class XMPP {
    *
    * Send a message to a room or private conversation.
    *
+   * Delivery receipts (XEP-0184) are requested for private messages, when the
+   * recipient acknowledges the message a `receipt` activity referencing the
+   * messages `@id` is sent to the client. If the client doesn't provide an
+   * `@id` for the message object, one is generated. The `@id` is used for both
+   * the stanza id and its `origin-id` (XEP-0359).
+   *
+   * To reply to a message (XEP-0461), set `inReplyTo` on the message object to
+   * the `@id` of the message, or an object with the `@id` and the `actor` who
+   * wrote it.
+   *
+   * A private message to someone in a room we've joined is sent to a `person`
+   * target with their occupant JID (room@service/nick). Private messages
+   * received from room occupants carry the `room` on their actor.
+   *
+   * Files are shared with an object of `@type` 'attachment' (XEP-0363). The
+   * base64 encoded `data` is uploaded to a slot from the servers upload service
+   * and its URL sent as out of band data (XEP-0066). Without `data` (but with
+   * its `size`) the slot is handed back to the client as an `upload` activity
+   * instead, once the client has uploaded the file it sends the attachment
+   * again, with the `url` it was given.
+   *
+   * With OMEMO enabled (see the `omemo` credential), private messages to a
+   * person are encrypted for all their devices and our own other devices,
+   * and aren't sent at all if none of their devices can be encrypted for.
+   * Messages to rooms and their occupants, and attachments, are sent as they
+   * are.
+   *
    * @param {object} job activity streams object // TODO LINK
    * @param {object} credentials credentials object // TODO LINK
    * @param {object} done callback when job is done // TODO LINK
@@ -285,18 +472,83 @@ class XMPP {
    *   }
    * }
    *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'send',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'party-room@jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'message',
+   *     content: 'Me too!',
+   *     inReplyTo: {
+   *       '@id': '5f3dbc5e-e1d3',
+   *       actor: { '@id': 'party-room@jabber.net/homer' }
+   *     }
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'send',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'party-room@jabber.net/homer',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'message',
+   *     content: 'Psst, want a donut?'
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'send',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'homer@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'attachment',
+   *     name: 'donut.png',
+   *     mediaType: 'image/png',
+   *     data: 'iVBORw0KGgoAAAANSUhEUgAA...'
+   *   }
+   * }
+   *
    */
   send(job, credentials, done) {
     this.debug('send() called for ' + job.actor['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
+    if (this.__queueIfReconnecting('send', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
+      if (job.object['@type'] === 'attachment') {
+        return this.__sendAttachment(job, credentials, connection, done);
+      }
       // send message
       this.debug('sending message to ' + job.target['@id']);
-      client.send(
-          job.target['@id'],
-          job.object.content,
-          job.target['@type'] === 'room' ? 'groupchat' : 'chat'
-      );
-      done();
+      const stanza = this.__buildMessage(connection, job, job.object['@id'] || generateId());
+      this.__encrypt(connection, job, stanza, (err) => {
+        if (err) {
+          return done(err);
+        }
+        connection.streamManagement.context({ job: job, credentials: credentials }, () => {
+          client.conn.send(stanza);
+        });
+        done();
+      });
     });
   };
 
@@ -305,7 +557,32 @@ class XMPP {
    * Function: update
    *
    * @description
-   * Indicate presence and status message.
+   * Indicate presence and status message, or send a chat state notification
+   * (XEP-0085) such as `composing` to a person or room.
+   *
+   * An object of `@type` `message` corrects a previously sent message
+   * (XEP-0308), the objects `@id` is the id of the message being replaced, as
+   * it was sent to the client.
+   *
+   * Room moderators change the `role` of an occupant by their `nick`, to kick
+   * them ('none') or grant or revoke voice ('participant' / 'visitor'). Room
+   * admins and owners change the `affiliation` of a `jid`, to ban them
+   * ('outcast') or make them a 'member', 'admin' or 'owner' (XEP-0045). An
+   * optional `reason` is passed on to the room.
+   *
+   * An object of `@type` `person` changes our nickname in the target room to
+   * its `displayName`.
+   *
+   * An object of `@type` `bookmark` changes our bookmark for the target room
+   * (see `add`), settings which aren't given are kept.
+   *
+   * An object of `@type` `device` records our `trust` in an OMEMO device of
+   * the target person, by the device `@id`: 'trusted', 'untrusted' or back to
+   * 'undecided'. Devices we haven't seen before are sent to the client as
+   * `update` activities with a `device` object holding its `fingerprint` and
+   * `trust`, they're 'undecided' (and trusted) until the client decides, and
+   * every decision is sent the same way. Untrusted devices can't read our
+   * messages, and theirs aren't decrypted.
    *
    * @param {object} job activity streams object // TODO LINK
    * @param {object} credentials credentials object // TODO LINK
@@ -325,11 +602,141 @@ class XMPP {
    *     content: '...clever saying goes here...'
    *   }
    * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'update',
+   *   actor: {
+   *     '@id': 'user@host.org/Home'
+   *   },
+   *   target: {
+   *     '@id': 'homer@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'chatstate',
+   *     chatstate: 'composing'
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'update',
+   *   actor: {
+   *     '@id': 'user@host.org/Home'
+   *   },
+   *   target: {
+   *     '@id': 'homer@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'message',
+   *     '@id': 'message-1',
+   *     content: 'Hello from Sockethub! (now without typos)'
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'update',
+   *   actor: {
+   *     '@id': 'user@host.org/Home'
+   *   },
+   *   target: {
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'role',
+   *     nick: 'homer',
+   *     role: 'none',
+   *     reason: 'eating all the donuts'
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'update',
+   *   actor: {
+   *     '@id': 'user@host.org/Home'
+   *   },
+   *   target: {
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'affiliation',
+   *     jid: 'homer@jabber.net',
+   *     affiliation: 'outcast'
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'update',
+   *   actor: {
+   *     '@id': 'user@host.org/Home'
+   *   },
+   *   target: {
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'person',
+   *     displayName: 'Mr. Pimp'
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'update',
+   *   actor: {
+   *     '@id': 'user@host.org/Home'
+   *   },
+   *   target: {
+   *     '@id': 'homer@jabber.net',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'device',
+   *     '@id': '1473812259',
+   *     trust: 'trusted'
+   *   }
+   * }
    */
   update(job, credentials, done) {
     this.debug('update() called for ' + job.actor['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
-      if (job.object['@type'] === 'presence') {
+    if (this.__queueIfReconnecting('update', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
+      if (job.object['@type'] === 'chatstate') {
+        if (CHAT_STATES.indexOf(job.object.chatstate) < 0) {
+          return done('unknown chat state: ' + job.object.chatstate);
+        }
+        this.debug('sending chat state ' + job.object.chatstate + ' to ' + job.target['@id']);
+        const stanza = new xmpp.Element('message', {
+          to: job.target['@id'],
+          type: job.target['@type'] === 'room' ? 'groupchat' : 'chat'
+        });
+        stanza.c(job.object.chatstate, { xmlns: NS.CHATSTATES });
+        client.conn.send(stanza);
+        done();
+      } else if (job.object['@type'] === 'message') {
+        if (!job.object['@id']) {
+          return done('message correction requires the @id of the message to replace');
+        }
+        this.debug('sending correction of ' + job.object['@id'] + ' to ' + job.target['@id']);
+        const stanza = this.__buildMessage(connection, job, generateId());
+        // the room's stanza-id of our own messages isn't what the others refer to them by
+        const replaced = connection.incoming.sentMessageId(job.target['@id'], job.object['@id']);
+        stanza.c('replace', { xmlns: NS.CORRECT, id: replaced });
+        this.__encrypt(connection, job, stanza, (err) => {
+          if (err) {
+            return done(err);
+          }
+          client.conn.send(stanza);
+          done();
+        });
+      } else if (job.object['@type'] === 'presence') {
         const show = job.object.presence === 'available' ? 'chat' : job.object.show;
         const status = job.object.content || '';
         // setting presence
@@ -338,8 +745,34 @@ class XMPP {
         this.debug('requesting XMPP roster');
         client.getRoster();
         done();
+      } else if ((job.object['@type'] === 'role') || (job.object['@type'] === 'affiliation')) {
+        this.__changeOccupant(job, connection, done);
+      } else if (job.object['@type'] === 'bookmark') {
+        const known = connection.bookmarks[job.target['@id']];
+        if (!known) {
+          return done('no bookmark for ' + job.target['@id']);
+        }
+        this.__saveBookmark(Object.assign({}, job, { object: Object.assign({}, known, job.object) }),
+                            connection, done);
+      } else if (job.object['@type'] === 'device') {
+        if (!connection.omemo) {
+          return done('OMEMO is not enabled for ' + connection.fullJid);
+        }
+        connection.omemo.trust(job.target['@id'].split('/')[0], job.object['@id'], job.object.trust, done);
+      } else if ((job.object['@type'] === 'person') && (job.target['@type'] === 'room')) {
+        const room = job.target['@id'].split('/')[0];
+        if (!job.object.displayName) {
+          return done('changing nickname requires a displayName');
+        }
+        if (!connection.rooms[room]) {
+          return done('not in room ' + room);
+        }
+        this.debug('changing nickname in ' + room + ' to ' + job.object.displayName);
+        connection.changeNick(room, job.object.displayName);
+        done();
       } else {
-        done('unknown object type (should be presence?): ' + job.object['@type']);
+        done('unknown object type (should be presence, chatstate, message, role, affiliation, person, ' +
+             'bookmark or device?): ' + job.object['@type']);
       }
     });
   };
@@ -369,7 +802,7 @@ class XMPP {
    */
   'request-friend'(job, credentials, done) {
     this.debug('request-friend() called for ' + job.actor['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
+    this.__getClient(job.actor['@id'], credentials, done, (client) => {
       this.debug('request friend ' + job.target['@id']);
       client.subscribe(job.target['@id']);
     });
@@ -400,7 +833,7 @@ class XMPP {
    */
   'remove-friend'(job, credentials, done) {
     this.debug('remove-friend() called for ' + job.actor['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
+    this.__getClient(job.actor['@id'], credentials, done, (client) => {
       this.debug('remove friend ' + job.target['@id']);
       client.unsubscribe(job.target['@id']);
     });
@@ -431,7 +864,7 @@ class XMPP {
    */
   'make-friend'(job, credentials, done) {
     this.debug('make-friend() called for ' + job.actor['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
+    this.__getClient(job.actor['@id'], credentials, done, (client) => {
       this.debug('make friend ' + job.target['@id']);
         client.acceptSubscription(job.target['@id']);
       });
@@ -442,6 +875,40 @@ class XMPP {
    *
    * Indicate an intent to observe something (ie. get a list of users in a room).
    *
+   * The attendance of a room we've joined is answered from the occupants we
+   * know of through their presence, with their role, affiliation, presence
+   * and (if the room shows it to us) real JID. For other rooms, the room is
+   * asked for its list of occupant nicknames, which not every room answers.
+   *
+   * With an object of `@type` `history`, the message archive (XEP-0313) of a
+   * room, or our own archive filtered by the target person, is queried instead.
+   * Archived messages are sent back as `send` activities with their original
+   * `published` time, followed by an `observe` activity with the `history`
+   * object holding the paging cursor (`first`, `last`, `complete`).
+   *
+   * History queries can be limited to a time range (`start`, `end`) and paged
+   * with `max` and `before` / `after` (an empty `before` gets the latest page).
+   *
+   * Room admins can list everyone with a given `affiliation` (eg. the banned
+   * 'outcast's) with an object of `@type` `affiliations`, they're sent back as
+   * an `observe` activity with the `members` of the list.
+   *
+   * With an object of `@type` `bookmarks`, our bookmarked rooms (XEP-0402) are
+   * sent back as an `observe` activity with the list of `bookmarks`.
+   *
+   * With OMEMO enabled, an object of `@type` `devices` gets the OMEMO devices
+   * of the target person, they're sent back as an `observe` activity with the
+   * `devices`, each with its `@id`, `fingerprint` and our `trust` in it.
+   *
+   * Servers and services can be browsed (XEP-0030): `info` gets the
+   * `identities`, `features` and extended information `forms` of any JID
+   * (and `node`), `items` lists its items, and `rooms` lists the rooms of a
+   * MUC service with their name, description and number of `occupants`, up
+   * to 100 per page, optionally only those matching a `search` string. Lists are paged with
+   * `max` and the `first` / `last` cursor of the previous page passed as
+   * `after` / `before` (an empty `before` gets the last page), the total is
+   * given as `count`.
+   *
    * @param {object} job activity streams object // TODO LINK
    * @param {object} credentials credentials object // TODO LINK
    * @param {object} done callback when job is done // TODO LINK
@@ -481,116 +948,1185 @@ class XMPP {
    *      '@type': 'attendance'
    *      members: [
    *        'RyanGosling',
-   *        'PeeWeeHerman',
-   *        'Commando',
-   *        'Smoochie',
    *        'neo'
+   *      ],
+   *      occupants: [
+   *        {
+   *          '@type': 'occupant',
+   *          nick: 'RyanGosling',
+   *          role: 'moderator',
+   *          affiliation: 'owner',
+   *          jid: 'ryan@jabber.net/Home',
+   *          presence: 'online'
+   *        },
+   *        {
+   *          '@type': 'occupant',
+   *          nick: 'neo',
+   *          role: 'participant',
+   *          affiliation: 'none',
+   *          presence: 'away',
+   *          status: 'following the white rabbit'
+   *        }
    *      ]
    *    }
    *  }
-   */
-  observe(job, credentials, done) {
-    this.debug('observe() called by ' + job.actor['@id'] + ' for ' + job.target['@id']);
-    this.__getClient(job.actor['@id'], credentials, (client) => {
-      const stanza = new xmpp.Element('iq', {
-        id: 'muc_id',
-        type: 'get',
-        from: job.actor['@id'],
-        to: job.target['@id']
-      });
-      stanza.c('query', {xmlns: 'http://jabber.org/protocol/disco#items'});
-      client.conn.send(stanza);
-      done();
-    });
-  };
-
-  cleanup(done) {
-    // FIXME - review this, simple-xmpp has a close func now i believe
-    this.debug('should be CLOSING connection now, NOT IMPLEMENTED in node-xmpp');
-    this.__forceDisconnect = true;
-    if ((this.__client) &&
-        (typeof this.__client === 'object') &&
-        (typeof this.__client.disconnect === 'function')) {
-      this.__client.disconnect();
-    }
-    done();
-  };
-
-
-  __getClient(key, credentials, cb) {
-    if (this.__client) {
-      return cb(this.__client);
-    }
+   *
+   *  {
+   *    context: 'xmpp',
+   *    '@type': 'observe',
+   *    actor: {
+   *      '@id': 'slvrbckt@jabber.net/Home',
+   *      '@type': 'person'
+   *    },
+   *    target: {
+   *      '@id': 'PartyChatRoom@muc.jabber.net',
+   *      '@type': 'room'
+   *    },
+   *    object: {
+   *      '@type': 'history',
+   *      '@id': 'history-1',
+   *      max: 20,
+   *      before: ''
+   *    }
+   *  }
+   *
+   *  {
+   *    context: 'xmpp',
+   *    '@type': 'observe',
+   *    actor: {
+   *      '@id': 'slvrbckt@jabber.net/Home',
+   *      '@type': 'person'
+   *    },
+   *    target: {
+   *      '@id': 'PartyChatRoom@muc.jabber.net',
+   *      '@type': 'room'
+   *    },
+   *    object: {
+   *      '@type': 'affiliations',
+   *      affiliation: 'outcast'
+   *    }
+   *  }
+   *
+   *  {
+   *    context: 'xmpp',
+   *    '@type': 'observe',
+   *    actor: {
+   *      '@id': 'slvrbckt@jabber.net/Home',
+   *      '@type': 'person'
+   *    },
+   *    target: {
+   *      '@id': 'muc.jabber.net',
+   *      '@type': 'service'
+   *    },
+   *    object: {
+   *      '@type': 'rooms',
+   *      search: 'party',
+   *      max: 20
+   *    }
+   *  }
+   *
+   *
+   *  // The above object might return:
+   *  {
+   *    context: 'xmpp',
+   *    '@type': 'observe',
+   *    actor: {
+   *      '@id': 'muc.jabber.net',
+   *      '@type': 'service'
+   *    },
+   *    target: {
+   *      '@id': 'slvrbckt@jabber.net/Home',
+   *      '@type': 'person'
+   *    },
+   *    object: {
+   *      '@type': 'rooms',
+   *      search: 'party',
+   *      count: 1,
+   *      first: 'partychatroom@muc.jabber.net',
+   *      last: 'partychatroom@muc.jabber.net',
+   *      rooms: [
+   *        {
+   *          '@type': 'room',
+   *          '@id': 'partychatroom@muc.jabber.net',
+   *          name: 'Party Chat Room',
+   *          description: 'where the party is at',
+   *          occupants: 12,
+   *          passwordProtected: false,
+   *          membersOnly: false
+   *        }
+   *      ]
+   *    }
+   *  }
+   *
+   *  {
+   *    context: 'xmpp',
+   *    '@type': 'observe',
+   *    actor: {
+   *      '@id': 'slvrbckt@jabber.net/Home',
+   *      '@type': 'person'
+   *    },
+   *    target: {
+   *      '@id': 'jabber.net',
+   *      '@type': 'service'
+   *    },
+   *    object: {
+   *      '@type': 'info'
+   *    }
+   *  }
+   *
+   *  {
+   *    context: 'xmpp',
+   *    '@type': 'observe',
+   *    actor: {
+   *      '@id': 'slvrbckt@jabber.net/Home',
+   *      '@type': 'person'
+   *    },
+   *    target: {
+   *      '@id': 'homer@jabber.net',
+   *      '@type': 'person'
+   *    },
+   *    object: {
+   *      '@type': 'devices'
+   *    }
+   *  }
+   *
+   *
+   *  // The above object might return:
+   *  {
+   *    context: 'xmpp',
+   *    '@type': 'observe',
+   *    actor: {
+   *      '@id': 'homer@jabber.net',
+   *      '@type': 'person'
+   *    },
+   *    target: {
+   *      '@id': 'slvrbckt@jabber.net/Home',
+   *      '@type': 'person'
+   *    },
+   *    object: {
+   *      '@type': 'devices',
+   *      devices: [
+   *        {
+   *          '@type': 'device',
+   *          '@id': '1473812259',
+   *          fingerprint: 'c2a5a8d1e3f4...',
+   *          trust: 'undecided'
+   *        }
+   *      ]
+   *    }
+   *  }
+   */
+  observe(job, credentials, done) {
+    this.debug('observe() called by ' + job.actor['@id'] + ' for ' + job.target['@id']);
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
+      if ((job.object) && (job.object['@type'] === 'history')) {
+        return this.__observeHistory(job, connection, done);
+      }
+      if ((job.object) && (job.object['@type'] === 'affiliations')) {
+        return this.__observeAffiliations(job, connection, done);
+      }
+      if ((job.object) && (job.object['@type'] === 'bookmarks')) {
+        return connection.fetchBookmarks((err) => { done(err); });
+      }
+      if ((job.object) && (job.object['@type'] === 'devices')) {
+        return this.__observeDevices(job, connection, done);
+      }
+      if ((job.object) && (['info', 'items', 'rooms'].indexOf(job.object['@type']) >= 0)) {
+        return this.__observeDiscovery(job, connection, done);
+      }
+      if (connection.rooms[job.target['@id']]) {
+        connection.incoming.roomOccupants(job.target['@id']);
+        return done();
+      }
+      const stanza = new xmpp.Element('iq', {
+        type: 'get',
+        from: job.actor['@id'],
+        to: job.target['@id']
+      });
+      stanza.c('query', {xmlns: 'http://jabber.org/protocol/disco#items'});
+      connection.sendIq(stanza, (err, result) => {
+        if (err) {
+          return done('failed to get attendance of ' + job.target['@id'] + ': ' + err);
+        }
+        connection.incoming.roomAttendance(result);
+        done();
+      });
+    });
+  };
+
+  /**
+   * Send the OMEMO devices of the target person to the client.
+   *
+   * @private
+   */
+  __observeDevices(job, connection, done) {
+    if (!connection.omemo) {
+      return done('OMEMO is not enabled for ' + connection.fullJid);
+    }
+    const jid = job.target['@id'].split('/')[0];
+    connection.omemo.devices(jid, (err, devices) => {
+      if (err) {
+        return done(err);
+      }
+      this.sendToClient({
+        '@type': 'observe',
+        actor: {
+          '@id': jid,
+          '@type': 'person'
+        },
+        target: job.actor,
+        object: {
+          '@type': 'devices',
+          devices: devices
+        }
+      });
+      done();
+    });
+  };
+
+  /**
+   * With OMEMO enabled, a private message to a person is encrypted (see
+   * `send`), anything else is sent as it is.
+   *
+   * @private
+   */
+  __encrypt(connection, job, stanza, cb) {
+    if ((!connection.omemo) || (stanza.attrs.type !== 'chat') || (isOccupant(connection, job.target['@id']))) {
+      return cb();
+    }
+    this.debug('encrypting message to ' + job.target['@id']);
+    connection.omemo.encrypt(stanza, cb);
+  };
+
+  /**
+   * Builds the stanza for a message job, `id` is used for both the stanza id
+   * and its origin-id. Receipts are requested for private messages. `content`
+   * replaces the objects content as the body, if given. Private messages to
+   * an occupant of a room we've joined are marked as such (XEP-0045).
+   *
+   * @private
+   */
+  __buildMessage(connection, job, id, content) {
+    const type = job.target['@type'] === 'room' ? 'groupchat' : 'chat';
+    const stanza = new xmpp.Element('message', {
+      to: job.target['@id'],
+      type: type,
+      id: id
+    });
+    stanza.c('body').t((typeof content === 'string') ? content : job.object.content);
+    stanza.c('origin-id', { xmlns: NS.SID, id: id });
+    if (type === 'chat') {
+      stanza.c('request', { xmlns: NS.RECEIPTS });
+    }
+    if ((type === 'chat') && (isOccupant(connection, job.target['@id']))) {
+      stanza.c('x', { xmlns: NS.MUC_USER });
+    }
+    const inReplyTo = job.object.inReplyTo;
+    if (inReplyTo) {
+      const reply = stanza.c('reply', {
+        xmlns: NS.REPLY,
+        id: (typeof inReplyTo === 'string') ? inReplyTo : inReplyTo['@id']
+      });
+      if ((inReplyTo.actor) && (inReplyTo.actor['@id'])) {
+        reply.attrs.to = inReplyTo.actor['@id'];
+      }
+    }
+    return stanza;
+  };
+
+  /**
+   * Share a file. With an `url` the attachment is sent right away, otherwise
+   * an upload slot is requested (XEP-0363) and either the base64 encoded
+   * `data` is uploaded to it, or the slot is handed back to the client as an
+   * `upload` activity, to upload itself and `send` the attachment with its
+   * `url` afterwards.
+   *
+   * @private
+   */
+  __sendAttachment(job, credentials, connection, done) {
+    const attachment = job.object;
+    const data = (typeof attachment.data === 'string') ? Buffer.from(attachment.data, 'base64') : undefined;
+    const size = (data) ? data.length : attachment.size;
+
+    const sendMessage = (url) => {
+      // keep the uploaded data out of any retransmission after a reconnect
+      const sent = Object.assign({}, job, {
+        object: Object.assign({}, attachment, { url: url, data: undefined, size: size })
+      });
+      const id = attachment['@id'] || generateId();
+      const stanza = this.__buildMessage(connection, sent, id, url);
+      stanza.c('x', { xmlns: NS.OOB }).c('url').t(url);
+      if ((attachment.name) || (attachment.mediaType) || (size)) {
+        const file = stanza.c('file-sharing', { xmlns: NS.FILE_SHARING })
+                           .c('file', { xmlns: NS.FILE_METADATA });
+        if (attachment.mediaType) { file.c('media-type').t(attachment.mediaType); }
+        if (attachment.name) { file.c('name').t(attachment.name); }
+        if (size) { file.c('size').t(String(size)); }
+        file.up().c('sources').c('url-data', { xmlns: NS.URL_DATA, target: url });
+      }
+      this.debug('sending attachment ' + url + ' to ' + job.target['@id']);
+      connection.streamManagement.context({ job: sent, credentials: credentials }, () => {
+        connection.client.conn.send(stanza);
+      });
+      done();
+    };
+
+    if (attachment.url) {
+      return sendMessage(attachment.url);
+    }
+    if ((!attachment.name) || (!size)) {
+      return done('attachment requires a name, and either its data or size');
+    }
+
+    this.__requestUploadSlot(connection, attachment.name, size, attachment.mediaType, (err, slot) => {
+      if (err) {
+        return done(err);
+      }
+      if (!data) {
+        this.sendToClient({
+          '@type': 'upload',
+          actor: { '@id': slot.service, '@type': 'service' },
+          target: job.actor,
+          object: {
+            '@type': 'attachment',
+            name: attachment.name,
+            mediaType: attachment.mediaType,
+            size: size,
+            url: slot.get,
+            upload: {
+              url: slot.put,
+              headers: slot.headers
+            }
+          }
+        });
+        return done();
+      }
+      this.__upload(slot, data, attachment.mediaType, (err) => {
+        if (err) {
+          return done(err);
+        }
+        sendMessage(slot.get);
+      });
+    });
+  };
+
+  /**
+   * Request an upload slot from the servers upload service, calls back with
+   * the `put` and `get` URLs and the headers to send with the upload.
+   *
+   * @private
+   */
+  __requestUploadSlot(connection, name, size, mediaType, cb) {
+    this.__discoverUploadService(connection, (err, service) => {
+      if (err) {
+        return cb(err);
+      }
+      if ((service.maxSize) && (size > service.maxSize)) {
+        return cb('attachment too large, the upload service accepts up to ' + service.maxSize + ' bytes');
+      }
+      const stanza = new xmpp.Element('iq', { type: 'get', to: service.jid });
+      const request = stanza.c('request', { xmlns: NS.UPLOAD, filename: name, size: String(size) });
+      if (mediaType) {
+        request.attrs['content-type'] = mediaType;
+      }
+      this.debug('requesting upload slot from ' + service.jid);
+      connection.sendIq(stanza, (err, result) => {
+        if (err) {
+          return cb('upload slot request failed: ' + err);
+        }
+        const slot = result.getChild('slot', NS.UPLOAD);
+        const put = (slot) ? slot.getChild('put') : undefined;
+        const get = (slot) ? slot.getChild('get') : undefined;
+        if ((!put) || (!get)) {
+          return cb('invalid upload slot received from ' + service.jid);
+        }
+        const headers = {};
+        put.getChildren('header').forEach((header) => {
+          if (UPLOAD_HEADERS.indexOf(header.attrs.name) >= 0) {
+            headers[header.attrs.name] = header.getText().replace(/[\r\n]/g, '');
+          }
+        });
+        cb(undefined, { service: service.jid, put: put.attrs.url, get: get.attrs.url, headers: headers });
+      });
+    });
+  };
+
+  /**
+   * Find the upload service among the items of our server, the result is kept
+   * for the lifetime of the connection.
+   *
+   * @private
+   */
+  __discoverUploadService(connection, cb) {
+    if (connection.uploadService) {
+      return cb(undefined, connection.uploadService);
+    }
+    const domain = connection.fullJid.split('/')[0].split('@').pop();
+    const stanza = new xmpp.Element('iq', { type: 'get', to: domain });
+    stanza.c('query', { xmlns: NS.DISCO_ITEMS });
+    connection.sendIq(stanza, (err, result) => {
+      if (err) {
+        return cb('service discovery on ' + domain + ' failed: ' + err);
+      }
+      const query = result.getChild('query', NS.DISCO_ITEMS);
+      const jids = (query) ? query.getChildren('item').map((item) => { return item.attrs.jid; }) : [];
+
+      const next = () => {
+        const jid = jids.shift();
+        if (!jid) {
+          return cb('no upload service found on ' + domain);
+        }
+        const info = new xmpp.Element('iq', { type: 'get', to: jid });
+        info.c('query', { xmlns: NS.DISCO_INFO });
+        connection.sendIq(info, (err, result) => {
+          const query = (err) ? undefined : result.getChild('query', NS.DISCO_INFO);
+          const features = (query) ? query.getChildren('feature') : [];
+          if (!features.some((feature) => { return feature.attrs.var === NS.UPLOAD; })) {
+            return next();
+          }
+          let maxSize;
+          query.getChildren('x', DataForms.NS).forEach((x) => {
+            const fields = DataForms.parse(x);
+            if (fields.FORM_TYPE === NS.UPLOAD) {
+              maxSize = parseInt(fields['max-file-size'], 10) || undefined;
+            }
+          });
+          this.debug('found upload service ' + jid);
+          connection.uploadService = { jid: jid, maxSize: maxSize };
+          cb(undefined, connection.uploadService);
+        });
+      };
+      next();
+    });
+  };
+
+  /**
+   * HTTP PUT the data to an upload slot.
+   *
+   * @private
+   */
+  __upload(slot, data, mediaType, cb) {
+    const transport = (slot.put.indexOf('http:') === 0) ? http : https;
+    const headers = Object.assign({
+      'Content-Type': mediaType || 'application/octet-stream',
+      'Content-Length': data.length
+    }, slot.headers);
+    this.debug('uploading ' + data.length + ' bytes to ' + slot.put);
+    const req = transport.request(slot.put, { method: 'PUT', headers: headers }, (res) => {
+      res.resume();
+      if ((res.statusCode >= 200) && (res.statusCode < 300)) {
+        cb();
+      } else {
+        cb('upload failed with HTTP status ' + res.statusCode);
+      }
+    });
+    req.on('error', (err) => {
+      cb('upload failed: ' + err.message);
+    });
+    const timeout = (this.__cfg.upload && this.__cfg.upload.timeout) || UPLOAD_TIMEOUT;
+    req.setTimeout(timeout, () => {
+      // ends up in the error handler above
+      req.destroy(new Error('no progress in ' + timeout + 'ms'));
+    });
+    req.end(data);
+  };
+
+  /**
+   * Query the message archive of a room, or our own archive for the
+   * conversation with the target person. The iq id doubles as the MAM
+   * `queryid`, so results can be tied to the request. Calls back once the
+   * final `fin` has arrived.
+   *
+   * @private
+   */
+  __observeHistory(job, connection, done) {
+    const id = job.object['@id'] || generateId();
+    const isRoom = job.target['@type'] === 'room';
+    const stanza = new xmpp.Element('iq', { type: 'set', id: id });
+    if (isRoom) {
+      stanza.attrs.to = job.target['@id'];
+    }
+    const query = stanza.c('query', { xmlns: NS.MAM, queryid: id });
+    query.cnode(DataForms.build(xmpp.Element, 'submit', NS.MAM, {
+      with: (isRoom) ? undefined : job.target['@id'],
+      start: job.object.start,
+      end: job.object.end
+    }));
+    const set = query.c('set', { xmlns: NS.RSM });
+    set.c('max').t(String(job.object.max || 50));
+    if (typeof job.object.before === 'string') {
+      set.c('before').t(job.object.before);
+    }
+    if (job.object.after) {
+      set.c('after').t(job.object.after);
+    }
+    this.debug('requesting history of ' + job.target['@id']);
+    // our own archive may answer from our bare JID, or without a from at all
+    connection.historyQueries[id] = {
+      jid: (isRoom) ? job.target['@id'] : connection.fullJid.split('/')[0],
+      own: !isRoom
+    };
+    connection.sendIq(stanza, (err, result) => {
+      delete connection.historyQueries[id];
+      if (err) {
+        return done('failed to get history of ' + job.target['@id'] + ': ' + err);
+      }
+      connection.incoming.historyComplete(result);
+      done();
+    });
+  };
+
+  /**
+   * Set the role of a room occupant, or the affiliation of a JID with the room
+   * (XEP-0045), calls back once the room has accepted (or refused) the change.
+   *
+   * @private
+   */
+  __changeOccupant(job, connection, done) {
+    const type = job.object['@type'];
+    const value = job.object[type];
+    const values = (type === 'role') ? ROLES : AFFILIATIONS;
+    const who = (type === 'role') ? 'nick' : 'jid';
+    if (job.target['@type'] !== 'room') {
+      return done(type + ' changes require a room target');
+    }
+    if (values.indexOf(value) < 0) {
+      return done('unknown ' + type + ': ' + value);
+    }
+    if (!job.object[who]) {
+      return done(type + ' changes require the ' + who + ' of the occupant');
+    }
+    const stanza = new xmpp.Element('iq', { type: 'set', to: job.target['@id'] });
+    const item = stanza.c('query', { xmlns: NS.MUC_ADMIN })
+                       .c('item', { [who]: job.object[who], [type]: value });
+    if (job.object.reason) {
+      item.c('reason').t(job.object.reason);
+    }
+    this.debug('setting ' + type + ' of ' + job.object[who] + ' in ' + job.target['@id'] + ' to ' + value);
+    connection.sendIq(stanza, (err) => {
+      done((err) ? 'changing ' + type + ' of ' + job.object[who] + ' failed: ' + err : undefined);
+    });
+  };
+
+  /**
+   * Fetch the list of JIDs with an affiliation to a room.
+   *
+   * @private
+   */
+  __observeAffiliations(job, connection, done) {
+    const affiliation = job.object.affiliation;
+    if ((AFFILIATIONS.indexOf(affiliation) < 0) || (affiliation === 'none')) {
+      return done('unknown affiliation list: ' + affiliation);
+    }
+    const stanza = new xmpp.Element('iq', { type: 'get', to: job.target['@id'] });
+    stanza.c('query', { xmlns: NS.MUC_ADMIN }).c('item', { affiliation: affiliation });
+    this.debug('requesting ' + affiliation + ' list of ' + job.target['@id']);
+    connection.sendIq(stanza, (err, result) => {
+      if (err) {
+        return done('fetching ' + affiliation + ' list of ' + job.target['@id'] + ' failed: ' + err);
+      }
+      const query = result.getChild('query', NS.MUC_ADMIN);
+      const items = (query) ? query.getChildren('item') : [];
+      this.sendToClient({
+        '@type': 'observe',
+        actor: {
+          '@id': job.target['@id'],
+          '@type': 'room'
+        },
+        target: job.actor,
+        object: {
+          '@type': 'affiliations',
+          affiliation: affiliation,
+          members: items.map((item) => {
+            const member = { jid: item.attrs.jid };
+            if (item.attrs.nick) {
+              member.nick = item.attrs.nick;
+            }
+            if (item.getChildText('reason')) {
+              member.reason = item.getChildText('reason');
+            }
+            return member;
+          })
+        }
+      });
+      done();
+    });
+  };
+
+  /**
+   * Service discovery (XEP-0030) of the target: what it is and supports
+   * (`info`), its `items`, or the `rooms` of a MUC service. Lists are paged
+   * (XEP-0059) with `max` and `before` / `after`.
+   *
+   * @private
+   */
+  __observeDiscovery(job, connection, done) {
+    const type = job.object['@type'];
+    const jid = job.target['@id'];
+    const reply = (err, object) => {
+      if (err) {
+        return done(err);
+      }
+      this.sendToClient({
+        '@type': 'observe',
+        actor: {
+          '@id': jid,
+          '@type': job.target['@type']
+        },
+        target: job.actor,
+        object: object
+      });
+      done();
+    };
+    this.debug('discovering ' + type + ' of ' + jid);
+    if (type === 'info') {
+      Discovery.info(connection, jid, job.object.node, reply);
+    } else if (type === 'items') {
+      Discovery.items(connection, jid, job.object.node, job.object, reply);
+    } else {
+      Discovery.rooms(connection, jid, job.object, reply);
+    }
+  };
+
+  /**
+   * Bookmark the target room with the settings of the job object (XEP-0402),
+   * replacing any bookmark we had for it.
+   *
+   * @private
+   */
+  __saveBookmark(job, connection, done) {
+    const room = job.target['@id'];
+    const bookmark = {
+      '@type': 'bookmark',
+      '@id': room,
+      autojoin: job.object.autojoin === true
+    };
+    ['name', 'nick', 'password'].forEach((name) => {
+      if (job.object[name]) {
+        bookmark[name] = job.object[name];
+      }
+    });
+    this.debug('saving bookmark for ' + room);
+    Bookmarks.publish(connection, room, bookmark, (err) => {
+      if (!err) {
+        connection.bookmarks[room] = bookmark;
+      }
+      done(err);
+    });
+  };
+
+  /**
+   * Function: configure
+   *
+   * @description
+   * Fetch or change the configuration of a room we own (XEP-0045).
+   *
+   * Without any settings on the object, the current configuration is sent
+   * back as a `configure` activity. Its object has the known settings by name
+   * (`name`, `description`, `persistent`, `membersOnly`, `moderated`,
+   * `password` and `maxUsers`), and the description of every field of the
+   * rooms configuration form in `fields`.
+   *
+   * With settings, they're applied on top of the current configuration. Form
+   * fields without a setting of their own can be changed through a `fields`
+   * object, mapping the field names to their new values.
+   *
+   * @param {object} job activity streams object // TODO LINK
+   * @param {object} credentials credentials object // TODO LINK
+   * @param {object} done callback when job is done // TODO LINK
+   *
+   * @example
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'configure',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'configuration',
+   *     description: 'Strictly no donuts',
+   *     maxUsers: 50,
+   *     fields: {
+   *       'muc#roomconfig_enablelogging': true
+   *     }
+   *   }
+   * }
+   */
+  configure(job, credentials, done) {
+    this.debug('configure() called for ' + job.actor['@id']);
+    if (this.__queueIfReconnecting('configure', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
+      if (job.target['@type'] !== 'room') {
+        return done('only rooms can be configured');
+      }
+      const room = job.target['@id'];
+      const fields = RoomConfig.changes(job.object);
+      if (fields) {
+        this.debug('configuring ' + room);
+        return RoomConfig.configure(connection, room, fields, done);
+      }
+      this.debug('fetching configuration of ' + room);
+      RoomConfig.fetch(connection, room, (err, x) => {
+        if (err) {
+          return done(err);
+        }
+        this.sendToClient({
+          '@type': 'configure',
+          actor: {
+            '@id': room,
+            '@type': 'room'
+          },
+          target: job.actor,
+          object: RoomConfig.toObject(x)
+        });
+        done();
+      });
+    });
+  };
 
-    if (!credentials) {
-      throw new Error('no client found, and no credentials specified.');
-    }
+  /**
+   * Function: invite
+   *
+   * @description
+   * Invite the target person into a room, the object. The invitation is sent
+   * directly to them (XEP-0249), including the rooms `password` if it has
+   * one. Setting `mediated` sends it through the room instead (XEP-0045),
+   * which members-only rooms need to let them in. An optional `reason` is
+   * passed on either way.
+   *
+   * Invitations we receive are sent to the client as `invite` activities with
+   * the room as their object.
+   *
+   * @param {object} job activity streams object // TODO LINK
+   * @param {object} credentials credentials object // TODO LINK
+   * @param {object} done callback when job is done // TODO LINK
+   *
+   * @example
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'invite',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'homer@jabber.net',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'room',
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     reason: 'there are donuts',
+   *     mediated: true
+   *   }
+   * }
+   */
+  invite(job, credentials, done) {
+    this.debug('invite() called for ' + job.actor['@id']);
+    if (this.__queueIfReconnecting('invite', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client) => {
+      if ((!job.object) || (job.object['@type'] !== 'room') || (!job.object['@id'])) {
+        return done('invite requires a room object with an @id');
+      }
+      const room = job.object['@id'];
+      let stanza;
+      if (job.object.mediated) {
+        this.debug('inviting ' + job.target['@id'] + ' to ' + room + ' through the room');
+        stanza = new xmpp.Element('message', { to: room, id: generateId() });
+        const x = stanza.c('x', { xmlns: NS.MUC_USER });
+        const invite = x.c('invite', { to: job.target['@id'] });
+        if (job.object.reason) {
+          invite.c('reason').t(job.object.reason);
+        }
+        if (job.object.password) {
+          x.c('password').t(job.object.password);
+        }
+      } else {
+        this.debug('inviting ' + job.target['@id'] + ' to ' + room);
+        stanza = new xmpp.Element('message', { to: job.target['@id'], id: generateId() });
+        const x = stanza.c('x', { xmlns: NS.CONFERENCE, jid: room });
+        if (job.object.reason) {
+          x.attrs.reason = job.object.reason;
+        }
+        if (job.object.password) {
+          x.attrs.password = job.object.password;
+        }
+      }
+      client.conn.send(stanza);
+      done();
+    });
+  };
+
+  /**
+   * Function: decline
+   *
+   * @description
+   * Decline an invitation into a room which was sent through the room, the
+   * target is the person who invited us. Direct invitations don't need to be
+   * declined, they can simply be ignored.
+   *
+   * @param {object} job activity streams object // TODO LINK
+   * @param {object} credentials credentials object // TODO LINK
+   * @param {object} done callback when job is done // TODO LINK
+   *
+   * @example
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'decline',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'homer@jabber.net',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'room',
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     reason: 'on a diet'
+   *   }
+   * }
+   */
+  decline(job, credentials, done) {
+    this.debug('decline() called for ' + job.actor['@id']);
+    if (this.__queueIfReconnecting('decline', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client) => {
+      if ((!job.object) || (job.object['@type'] !== 'room') || (!job.object['@id'])) {
+        return done('decline requires a room object with an @id');
+      }
+      this.debug('declining invitation to ' + job.object['@id'] + ' from ' + job.target['@id']);
+      const stanza = new xmpp.Element('message', { to: job.object['@id'], id: generateId() });
+      const decline = stanza.c('x', { xmlns: NS.MUC_USER }).c('decline', { to: job.target['@id'] });
+      if (job.object.reason) {
+        decline.c('reason').t(job.object.reason);
+      }
+      client.conn.send(stanza);
+      done();
+    });
+  };
+
+  /**
+   * Function: delete
+   *
+   * @description
+   * Retract a message we sent earlier (XEP-0424). In rooms where we're a
+   * moderator, setting `moderate` on the message object retracts someone
+   * else's message instead (XEP-0425), with an optional `reason`.
+   *
+   * In rooms the `@id` is the id the room assigned to the message (which is
+   * the `@id` of incoming room messages), for private messages it's the `@id`
+   * the message was sent with.
+   *
+   * An object of `@type` `room` destroys the target room, if we own it. The
+   * occupants are told the `reason`, and can be pointed to an `alternate`
+   * room.
+   *
+   * An object of `@type` `bookmark` removes our bookmark for the target room.
+   *
+   * @param {object} job activity streams object // TODO LINK
+   * @param {object} credentials credentials object // TODO LINK
+   * @param {object} done callback when job is done // TODO LINK
+   *
+   * @example
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'delete',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'message',
+   *     '@id': '5f3dbc5e-e1d3',
+   *     moderate: true,
+   *     reason: 'spam'
+   *   }
+   * }
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'delete',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'room',
+   *     reason: 'the party is over',
+   *     alternate: 'AfterParty@muc.jabber.net'
+   *   }
+   * }
+   */
+  delete(job, credentials, done) {
+    this.debug('delete() called for ' + job.actor['@id']);
+    if (this.__queueIfReconnecting('delete', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
+      if ((job.object) && (job.object['@type'] === 'room')) {
+        if (job.target['@type'] !== 'room') {
+          return done('only rooms can be destroyed');
+        }
+        this.debug('destroying room ' + job.target['@id']);
+        return RoomConfig.destroy(connection, job.target['@id'], job.object.reason,
+                                  job.object.alternate, done);
+      }
+      if ((job.object) && (job.object['@type'] === 'bookmark')) {
+        this.debug('removing bookmark for ' + job.target['@id']);
+        return Bookmarks.retract(connection, job.target['@id'], (err) => {
+          if (!err) {
+            delete connection.bookmarks[job.target['@id']];
+          }
+          done(err);
+        });
+      }
+      if ((!job.object) || (job.object['@type'] !== 'message') || (!job.object['@id'])) {
+        return done('delete requires a message object with an @id');
+      }
 
-    this.actor = credentials.actor;
+      if (job.object.moderate) {
+        if (job.target['@type'] !== 'room') {
+          return done('messages can only be moderated in rooms');
+        }
+        this.debug('moderating message ' + job.object['@id'] + ' in ' + job.target['@id']);
+        const stanza = new xmpp.Element('iq', { type: 'set', to: job.target['@id'] });
+        const moderate = stanza.c('moderate', { xmlns: NS.MODERATE, id: job.object['@id'] });
+        moderate.c('retract', { xmlns: NS.RETRACT });
+        if (job.object.reason) {
+          moderate.c('reason').t(job.object.reason);
+        }
+        return connection.sendIq(stanza, (err) => {
+          done((err) ? 'failed to moderate message ' + job.object['@id'] + ': ' + err : undefined);
+        });
+      }
 
-    this.__connect(key, credentials, (client) => {
-      this.__client = client;
-      this.__registerListeners();
-      return cb(client);
+      this.debug('retracting message ' + job.object['@id'] + ' sent to ' + job.target['@id']);
+      const stanza = new xmpp.Element('message', {
+        to: job.target['@id'],
+        type: job.target['@type'] === 'room' ? 'groupchat' : 'chat',
+        id: generateId()
+      });
+      stanza.c('retract', { xmlns: NS.RETRACT, id: job.object['@id'] });
+      stanza.c('fallback', { xmlns: NS.FALLBACK, for: NS.RETRACT });
+      stanza.c('body').t('This person attempted to retract a previous message, but it\'s unsupported by your client.');
+      stanza.c('store', { xmlns: NS.HINTS });
+      client.conn.send(stanza);
+      done();
     });
   };
 
+  /**
+   * Function: react
+   *
+   * @description
+   * React to a message with one or more emojis (XEP-0444). Every `react`
+   * replaces our previous reactions to that message, so send the complete list,
+   * an empty list removes all of them.
+   *
+   * @param {object} job activity streams object // TODO LINK
+   * @param {object} credentials credentials object // TODO LINK
+   * @param {object} done callback when job is done // TODO LINK
+   *
+   * @example
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'react',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'homer@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   object: {
+   *     '@type': 'message',
+   *     '@id': 'purple9840c15f',
+   *     reactions: ['👍', '🍩']
+   *   }
+   * }
+   */
+  react(job, credentials, done) {
+    this.debug('react() called for ' + job.actor['@id']);
+    if (this.__queueIfReconnecting('react', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client) => {
+      if ((!job.object) || (!job.object['@id']) || (!Array.isArray(job.object.reactions))) {
+        return done('react requires a message object with an @id and a list of reactions');
+      }
+      this.debug('sending reactions to ' + job.object['@id'] + ' to ' + job.target['@id']);
+      const stanza = new xmpp.Element('message', {
+        to: job.target['@id'],
+        type: job.target['@type'] === 'room' ? 'groupchat' : 'chat',
+        id: generateId()
+      });
+      const reactions = stanza.c('reactions', { xmlns: NS.REACTIONS, id: job.object['@id'] });
+      job.object.reactions.forEach((reaction) => {
+        reactions.c('reaction').t(reaction);
+      });
+      stanza.c('store', { xmlns: NS.HINTS });
+      client.conn.send(stanza);
+      done();
+    });
+  };
 
-  __connect(key, credentials, cb) {
-    this.debug('calling connect for ' + credentials.actor['@id']);
-    const fullJid = this.__buildFullJid(credentials);
-    const xmppCreds = this.__buildXmppCredentials(fullJid, credentials);
-    console.log(credentials);
-    console.log(xmppCreds);
+  /**
+   * Function: add
+   *
+   * @description
+   * Bookmark the target room (XEP-0402), with an optional `name`, the `nick`
+   * and `password` to join it with, and whether to `autojoin` it when
+   * connecting. Bookmarks are changed with `update` and removed with `delete`
+   * (with an object of `@type` `bookmark`), and fetched again with `observe`
+   * (with an object of `@type` `bookmarks`).
+   *
+   * Changes made by our other clients are sent as `update` and `delete`
+   * activities with the bookmark as their object.
+   *
+   * @param {object} job activity streams object // TODO LINK
+   * @param {object} credentials credentials object // TODO LINK
+   * @param {object} done callback when job is done // TODO LINK
+   *
+   * @example
+   *
+   * {
+   *   context: 'xmpp',
+   *   '@type': 'add',
+   *   actor: {
+   *     '@id': 'slvrbckt@jabber.net/Home',
+   *     '@type': 'person'
+   *   },
+   *   target: {
+   *     '@id': 'PartyChatRoom@muc.jabber.net',
+   *     '@type': 'room'
+   *   },
+   *   object: {
+   *     '@type': 'bookmark',
+   *     name: 'The Party',
+   *     nick: 'slvrbckt',
+   *     autojoin: true
+   *   }
+   * }
+   */
+  add(job, credentials, done) {
+    this.debug('add() called for ' + job.actor['@id']);
+    if (this.__queueIfReconnecting('add', job, credentials, done)) { return; }
+    this.__getClient(job.actor['@id'], credentials, done, (client, connection) => {
+      if ((!job.object) || (job.object['@type'] !== 'bookmark')) {
+        return done('add requires a bookmark object');
+      }
+      if (job.target['@type'] !== 'room') {
+        return done('only rooms can be bookmarked');
+      }
+      this.__saveBookmark(job, connection, done);
+    });
+  };
 
-    function __removeListeners() {
-      xmpp.removeListener('online', handlers.online);
-      xmpp.removeListener('error', handlers.error);
-      xmpp.removeListener('close', handlers.close);
-    }
+  cleanup(done) {
+    this.debug('closing all connections');
+    Object.keys(this.__connections).forEach((fullJid) => {
+      this.__connections[fullJid].disconnect();
+    });
+    this.__connections = {};
+    done();
+  };
 
-    const handlers = {
-      error: (error) => {
-        let msg = 'failed connecting ' + fullJid;
-        msg = (error) ? msg + ' : ' + error : msg;
-        __removeListeners();
-        xmpp.disconnect();
-        throw new Error(msg);
-      },
-      online: () => {
-        this.debug('connected with jid: ' + fullJid);
-        __removeListeners();
-        cb(xmpp);
-      },
-      close: () => {
-        // FIXME - not sure in what cases this happens
-        this.debug('close received for ' + fullJid);
-        __removeListeners();
-        throw new Error('received close event for ' + fullJid);
+
+  /**
+   * Calls back with the client (and its connection) of the given actor,
+   * connecting first if there isn't one yet. If connecting fails, the error
+   * is passed to the jobs `done` callback instead, and `cb` isn't called.
+   *
+   * @private
+   */
+  __getClient(key, credentials, done, cb) {
+    let connection = this.__getConnection(key);
+    if ((!connection) && (credentials)) {
+      connection = this.__getConnection(this.__buildFullJid(credentials));
+    }
+    const ready = (err) => {
+      if (err) {
+        if (typeof done === 'function') {
+          done(err);
+        }
+        return;
       }
+      cb(connection.client, connection);
     };
+    if (connection) {
+      return connection.ready(ready);
+    }
+
+    if (!credentials) {
+      throw new Error('no client found, and no credentials specified.');
+    }
+
+    const fullJid = this.__buildFullJid(credentials);
+    const xmppCreds = this.__buildXmppCredentials(fullJid, credentials);
+    connection = new Connection(this, xmpp, credentials, xmppCreds, this.__cfg);
+    this.__connections[fullJid] = connection;
 
-    xmpp.on('online', handlers.online);
-    xmpp.on('error', handlers.error);
-    xmpp.on('close', handlers.close);
-    xmpp.connect(xmppCreds);
+    connection.connect((err) => {
+      if (err) {
+        // only this connection failed, any others carry on
+        this.debug(err);
+        delete this.__connections[fullJid];
+      }
+      ready(err);
+    });
+  };
+
+
+  /**
+   * Look up a connection by full JID, or by the actor it belongs to. Connections
+   * which have been closed (eg. gave up reconnecting) are dropped.
+   *
+   * @private
+   */
+  __getConnection(key) {
+    let connection = this.__connections[key];
+    if (!connection) {
+      for (let fullJid in this.__connections) {
+        if ((this.__connections.hasOwnProperty(fullJid)) &&
+            (this.__connections[fullJid].actor['@id'] === key)) {
+          connection = this.__connections[fullJid];
+          break;
+        }
+      }
+    }
+    if ((connection) && (connection.closed)) {
+      delete this.__connections[connection.fullJid];
+      return undefined;
+    }
+    return connection;
   };
 
 
-  __registerListeners() {
-    const ih = new IncomingHandlers(this);
-    this.__client.on('buddy', ih.buddy.bind(ih));
-    this.__client.on('buddyCapabilities', ih.buddyCapabilities.bind(ih));
-    this.__client.on('chat', ih.chat.bind(ih));
-    this.__client.on('close', ih.close.bind(ih));
-    this.__client.on('chatstate', ih.chatstate.bind(ih));
-    this.__client.on('error', ih.error.bind(ih));
-    this.__client.on('groupbuddy', ih.groupBuddy.bind(ih));
-    this.__client.on('groupchat', ih.groupChat.bind(ih));
-    this.__client.on('online', ih.online.bind(ih));
-    this.__client.on('subscribe', ih.subscribe.bind(ih));
-    this.__client.on('unsubscribe', ih.unsubscribe.bind(ih));
-    this.__client.on('stanza', ih.__stanza.bind(ih));
+  /**
+   * While the actors connection is reconnecting, buffer the job to be replayed
+   * once it's back online. Returns `true` if the job was handled here.
+   *
+   * @private
+   */
+  __queueIfReconnecting(type, job, credentials, done) {
+    const connection = this.__getConnection(job.actor['@id']);
+    return Boolean(connection) && connection.queue(type, job, credentials, done);
   };
 
 
@@ -626,4 +2162,48 @@ class XMPP {
   }
 }
 
+function generateId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Whether `jid` is an occupant (room@service/nick) of a room we've joined.
+ *
+ * @private
+ */
+function isOccupant(connection, jid) {
+  const parts = jid.split('/');
+  return (parts.length > 1) && (Boolean(connection.rooms[parts[0]]));
+}
+
+/**
+ * The attributes of a MUC `<history/>` element, from the history limits of a
+ * join activity.
+ *
+ * @private
+ */
+function historyLimits(history) {
+  if ((!history) || (typeof history !== 'object')) {
+    return undefined;
+  }
+  const attrs = {};
+  ['maxstanzas', 'maxchars', 'seconds'].forEach((name) => {
+    if (typeof history[name] !== 'undefined') {
+      const value = parseInt(history[name], 10);
+      if ((isNaN(value)) || (value < 0)) {
+        throw new Error('invalid history ' + name + ': ' + history[name]);
+      }
+      attrs[name] = String(value);
+    }
+  });
+  if (typeof history.since !== 'undefined') {
+    const since = new Date(history.since);
+    if (isNaN(since.getTime())) {
+      throw new Error('invalid history since: ' + history.since);
+    }
+    attrs.since = since.toISOString();
+  }
+  return attrs;
+}
+
 module.exports = XMPP;
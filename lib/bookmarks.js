@@ -0,0 +1,163 @@
+const DataForms = require('./data-forms');
+const NS = require('./namespaces');
+
+/**
+ * How bookmarks are stored on the account (XEP-0402 section 3.2), so they're
+ * kept private and there can be as many of them as needed.
+ */
+const PUBLISH_OPTIONS = {
+  'pubsub#persist_items': true,
+  'pubsub#max_items': 'max',
+  'pubsub#send_last_published_item': 'never',
+  'pubsub#access_model': 'whitelist'
+};
+
+/**
+ * A bookmark as an activity object, from the `<conference/>` element of a
+ * XEP-0402 item (whose id is the room) or of the legacy XEP-0048 storage.
+ */
+function toObject(room, conference) {
+  const object = {
+    '@type': 'bookmark',
+    '@id': room,
+    autojoin: (conference.attrs.autojoin === 'true') || (conference.attrs.autojoin === '1')
+  };
+  if (conference.attrs.name) {
+    object.name = conference.attrs.name;
+  }
+  ['nick', 'password'].forEach((name) => {
+    if (conference.getChildText(name)) {
+      object[name] = conference.getChildText(name);
+    }
+  });
+  return object;
+}
+
+/**
+ * The bookmark of a published pubsub item, or `undefined` if it isn't one.
+ */
+function fromItem(item) {
+  const conference = item.getChild('conference', NS.BOOKMARKS);
+  return ((item.attrs.id) && (conference)) ? toObject(item.attrs.id, conference) : undefined;
+}
+
+/**
+ * Fetch all bookmarks of the account, calls back with a list of bookmark
+ * objects. Accounts which don't have any XEP-0402 bookmarks yet are checked
+ * for bookmarks stored by older clients (XEP-0048).
+ */
+function fetch(connection, cb) {
+  items(connection, NS.BOOKMARKS, (err, result) => {
+    if (err === 'item-not-found') {
+      return fetchLegacy(connection, cb);
+    } else if (err) {
+      return cb('fetching bookmarks failed: ' + err);
+    }
+    cb(undefined, result.map(fromItem).filter((bookmark) => { return bookmark; }));
+  });
+}
+
+/**
+ * Add a bookmark for `room`, or replace the one we have.
+ */
+function publish(connection, room, bookmark, cb) {
+  const stanza = new connection.Element('iq', { type: 'set' });
+  const pubsub = stanza.c('pubsub', { xmlns: NS.PUBSUB });
+  const conference = pubsub.c('publish', { node: NS.BOOKMARKS }).c('item', { id: room })
+                           .c('conference', { xmlns: NS.BOOKMARKS, autojoin: String(Boolean(bookmark.autojoin)) });
+  if (bookmark.name) {
+    conference.attrs.name = bookmark.name;
+  }
+  ['nick', 'password'].forEach((name) => {
+    if (bookmark[name]) {
+      conference.c(name).t(bookmark[name]);
+    }
+  });
+  pubsub.c('publish-options').cnode(DataForms.build(connection.Element, 'submit',
+                                                    NS.PUBSUB + '#publish-options', PUBLISH_OPTIONS));
+  connection.sendIq(stanza, (err) => {
+    cb((err) ? 'saving bookmark for ' + room + ' failed: ' + err : undefined);
+  });
+}
+
+/**
+ * Remove the bookmark for `room`, our other clients are notified.
+ */
+function retract(connection, room, cb) {
+  const stanza = new connection.Element('iq', { type: 'set' });
+  stanza.c('pubsub', { xmlns: NS.PUBSUB })
+        .c('retract', { node: NS.BOOKMARKS, notify: 'true' })
+        .c('item', { id: room });
+  connection.sendIq(stanza, (err) => {
+    cb((err) ? 'removing bookmark for ' + room + ' failed: ' + err : undefined);
+  });
+}
+
+/**
+ * Subscribe to changes of our bookmarks made by our other clients.
+ *
+ * NOTE: PEP notifications are usually requested by advertising `+notify` in
+ * our entity capabilities (XEP-0115), but simple-xmpp sends our presence
+ * without them, so we subscribe to the node explicitly instead (and
+ * unsubscribe when the connection is closed).
+ */
+function subscribe(connection, cb) {
+  const stanza = new connection.Element('iq', { type: 'set' });
+  stanza.c('pubsub', { xmlns: NS.PUBSUB })
+        .c('subscribe', { node: NS.BOOKMARKS, jid: connection.fullJid });
+  connection.sendIq(stanza, (err) => {
+    cb((err) ? 'subscribing to bookmarks failed: ' + err : undefined);
+  });
+}
+
+/**
+ * Undo `subscribe` when we're leaving. The subscription is of our full JID,
+ * which servers keep around (and send notifications to) until told otherwise.
+ */
+function unsubscribe(connection, cb) {
+  const stanza = new connection.Element('iq', { type: 'set' });
+  stanza.c('pubsub', { xmlns: NS.PUBSUB })
+        .c('unsubscribe', { node: NS.BOOKMARKS, jid: connection.fullJid });
+  connection.sendIq(stanza, (err) => {
+    cb((err) ? 'unsubscribing from bookmarks failed: ' + err : undefined);
+  });
+}
+
+function fetchLegacy(connection, cb) {
+  items(connection, NS.LEGACY_BOOKMARKS, (err, result) => {
+    if (err === 'item-not-found') {
+      return cb(undefined, []);
+    } else if (err) {
+      return cb('fetching bookmarks failed: ' + err);
+    }
+    const storage = (result.length) ? result[0].getChild('storage', NS.LEGACY_BOOKMARKS) : undefined;
+    const conferences = (storage) ? storage.getChildren('conference') : [];
+    cb(undefined, conferences.filter((conference) => {
+      return conference.attrs.jid;
+    }).map((conference) => {
+      return toObject(conference.attrs.jid, conference);
+    }));
+  });
+}
+
+function items(connection, node, cb) {
+  const stanza = new connection.Element('iq', { type: 'get' });
+  stanza.c('pubsub', { xmlns: NS.PUBSUB }).c('items', { node: node });
+  connection.sendIq(stanza, (err, result) => {
+    if (err) {
+      return cb(err);
+    }
+    const pubsub = result.getChild('pubsub', NS.PUBSUB);
+    const list = (pubsub) ? pubsub.getChild('items') : undefined;
+    cb(undefined, (list) ? list.getChildren('item') : []);
+  });
+}
+
+module.exports = {
+  fetch: fetch,
+  fromItem: fromItem,
+  publish: publish,
+  retract: retract,
+  subscribe: subscribe,
+  unsubscribe: unsubscribe
+};
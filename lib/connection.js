@@ -0,0 +1,512 @@
+const Bookmarks = require('./bookmarks');
+const IncomingHandlers = require('./incoming-handlers');
+const IqTracker = require('./iq-tracker');
+const NS = require('./namespaces');
+const Omemo = require('./omemo');
+const Reconnect = require('./reconnect');
+const RoomConfig = require('./room-config');
+const StreamManagement = require('./stream-management');
+
+/**
+ * A single XMPP account connection, identified by its full JID.
+ *
+ * Each connection has its own simple-xmpp client, its own set of listeners,
+ * reconnect and stream management state, and the rooms it has joined, so
+ * several actors can be handled by one platform instance without
+ * interfering with each other.
+ */
+class Connection {
+  constructor(session, xmpp, credentials, xmppCredentials, cfg) {
+    cfg = (typeof cfg === 'object') ? cfg : {};
+    this.session = session;
+    this.credentials = credentials;
+    this.xmppCredentials = xmppCredentials;
+    this.fullJid = xmppCredentials.jid;
+    this.actor = credentials.actor;
+    this.client = new xmpp.SimpleXMPP();
+    this.Element = xmpp.Element;
+    this.options = {
+      sendReceipts: credentials.object.sendReceipts !== false,
+      carbons: credentials.object.carbons === true,
+      bookmarks: credentials.object.bookmarks !== false,
+      omemo: credentials.object.omemo === true
+    };
+    this.rooms = {};
+    this.bookmarks = {};
+    // archive queries (XEP-0313) awaiting results, by query id
+    this.historyQueries = {};
+    this.reconnect = new Reconnect(cfg.reconnect);
+    this.streamManagement = new StreamManagement(xmpp.Element, cfg.streamManagement);
+    this.iq = new IqTracker(cfg.iq, this.fullJid);
+    this.omemo = (this.options.omemo) ? new Omemo(this, cfg.omemo) : undefined;
+    this.closed = false;
+    this.__listeners = [];
+    this.__pending = [];
+  }
+
+  debug(msg) {
+    if (typeof this.session.debug === 'function') {
+      this.session.debug(msg);
+    }
+  }
+
+  sendToClient(msg) {
+    if (typeof this.session.sendToClient === 'function') {
+      this.session.sendToClient(msg);
+    }
+  }
+
+  sendStanza(stanza) {
+    this.client.conn.send(stanza);
+  }
+
+  /**
+   * Join a room (XEP-0045) as `nick`. The `options` may hold the rooms
+   * `password`, `history` attributes limiting the discussion history sent to
+   * us, and the `configuration` to apply if the room is created by joining
+   * it. The room and its password are remembered, so it can be rejoined after
+   * a reconnect.
+   */
+  joinRoom(room, nick, options) {
+    options = options || {};
+    this.rooms[room] = {
+      nick: nick,
+      password: options.password,
+      configuration: options.configuration,
+      occupants: {}
+    };
+    const presence = new this.Element('presence', { to: room + '/' + nick });
+    const x = presence.c('x', { xmlns: NS.MUC });
+    if (options.password) {
+      x.c('password').t(options.password);
+    }
+    if (options.history) {
+      x.c('history', options.history);
+    }
+    this.sendStanza(presence);
+  }
+
+  /**
+   * Ask a room we've joined to change our nickname, it's only taken on once
+   * the room confirms the change.
+   */
+  changeNick(room, nick) {
+    this.rooms[room].pendingNick = nick;
+    this.sendStanza(new this.Element('presence', { to: room + '/' + nick }));
+  }
+
+  /**
+   * A room we joined didn't exist and was created for us, it stays locked
+   * until configured, with the configuration given when joining or the
+   * servers defaults.
+   */
+  roomCreated(room) {
+    const joined = this.rooms[room];
+    const configuration = (joined) ? joined.configuration : undefined;
+    this.debug('created room ' + room + ((configuration) ? ', configuring it' : ''));
+    RoomConfig.configure(this, room, configuration, (err) => {
+      if (!err) {
+        if ((joined) && (configuration) && (configuration['muc#roomconfig_roomsecret'])) {
+          // needed to rejoin it after a reconnect
+          joined.password = configuration['muc#roomconfig_roomsecret'];
+        }
+        return;
+      }
+      this.debug(err);
+      this.sendToClient({
+        '@type': 'configure',
+        actor: {
+          '@id': room,
+          '@type': 'room'
+        },
+        target: this.actor,
+        object: {
+          '@type': 'error',
+          content: err
+        }
+      });
+    });
+  }
+
+  /**
+   * Leave a room, with an optional status message. It won't be rejoined after
+   * a reconnect.
+   */
+  leaveRoom(room, nick, status) {
+    delete this.rooms[room];
+    const presence = new this.Element('presence', { to: room + '/' + nick, type: 'unavailable' });
+    if (status) {
+      presence.c('status').t(status);
+    }
+    this.sendStanza(presence);
+  }
+
+  /**
+   * Send an iq and call back with the response, `cb(err, stanza)`. An error
+   * response is passed as `err`, naming the error condition, no response at
+   * all as 'timeout'. The iq is given an id if it doesn't have one.
+   */
+  sendIq(stanza, cb) {
+    this.iq.track(stanza, cb);
+    this.sendStanza(stanza);
+  }
+
+  /**
+   * Fetch our bookmarks (XEP-0402), keep them and send them to the client as
+   * an `observe` activity. Calls back with the list of bookmarks.
+   */
+  fetchBookmarks(cb) {
+    Bookmarks.fetch(this, (err, bookmarks) => {
+      if (err) {
+        return cb(err);
+      }
+      // the incoming handlers hold on to this object, so it's refilled rather than replaced
+      Object.keys(this.bookmarks).forEach((room) => { delete this.bookmarks[room]; });
+      bookmarks.forEach((bookmark) => { this.bookmarks[bookmark['@id']] = bookmark; });
+      this.sendToClient({
+        '@type': 'observe',
+        actor: {
+          '@id': this.fullJid.split('/')[0],
+          '@type': 'person'
+        },
+        target: this.actor,
+        object: {
+          '@type': 'bookmarks',
+          bookmarks: bookmarks
+        }
+      });
+      cb(undefined, bookmarks);
+    });
+  }
+
+  /**
+   * Initial connect, calls back once online (or with an error). Anyone
+   * waiting on `ready()` is told the same.
+   */
+  connect(cb) {
+    this.__connect((err) => {
+      const pending = this.__pending;
+      this.__pending = undefined;
+      if (err) {
+        // nothing to reconnect to, the platform drops closed connections
+        this.closed = true;
+        this.__error = err;
+      } else {
+        this.__registerListeners();
+        this.__enableStreamManagement();
+        this.__enableCarbons();
+        this.__loadBookmarks();
+        this.__enableOmemo();
+      }
+      cb(err);
+      pending.forEach((fn) => { fn(err); });
+    });
+  }
+
+  /**
+   * Calls `cb` once the initial connect has completed, with the error if it
+   * failed.
+   */
+  ready(cb) {
+    if (this.__pending) {
+      this.__pending.push(cb);
+    } else {
+      cb(this.__error);
+    }
+  }
+
+  /**
+   * Tear down this connection only, leaving any others untouched.
+   */
+  disconnect() {
+    if ((this.options.bookmarks) && (!this.closed) && (!this.__pending) && (!this.reconnect.active)) {
+      // there's no waiting for the response on our way out
+      Bookmarks.unsubscribe(this, () => {});
+    }
+    this.closed = true;
+    this.reconnect.reset();
+    this.__failQueuedJobs('connection closed');
+    this.iq.failAll('connection closed');
+    this.__removeListeners();
+    if (typeof this.client.disconnect === 'function') {
+      this.client.disconnect();
+    }
+  }
+
+  /**
+   * While a reconnect is in progress, buffer the job to be replayed once we're
+   * back online. Returns `true` if the job was handled here.
+   */
+  queue(type, job, credentials, done) {
+    if (!this.reconnect.active) {
+      return false;
+    }
+    this.debug('reconnecting, queueing ' + type + ' job for ' + this.fullJid);
+    if (!this.reconnect.enqueue({ type: type, job: job, credentials: credentials, done: done })) {
+      done('reconnecting, too many queued jobs');
+    }
+    return true;
+  }
+
+  __connect(cb) {
+    this.debug('calling connect for ' + this.fullJid);
+    const client = this.client;
+
+    function __removeListeners() {
+      client.removeListener('online', handlers.online);
+      client.removeListener('error', handlers.error);
+      client.removeListener('close', handlers.close);
+    }
+
+    const handlers = {
+      error: (error) => {
+        let msg = 'failed connecting ' + this.fullJid;
+        msg = (error) ? msg + ' : ' + error : msg;
+        __removeListeners();
+        client.disconnect();
+        cb(msg);
+      },
+      online: () => {
+        this.debug('connected with jid: ' + this.fullJid);
+        __removeListeners();
+        cb();
+      },
+      close: () => {
+        this.debug('close received for ' + this.fullJid);
+        __removeListeners();
+        cb('received close event for ' + this.fullJid);
+      }
+    };
+
+    client.on('online', handlers.online);
+    client.on('error', handlers.error);
+    client.on('close', handlers.close);
+    client.connect(this.xmppCredentials);
+    if (this.streamManagement.resumable()) {
+      this.debug('resuming stream management session ' + this.streamManagement.id);
+      this.streamManagement.resume(client.conn);
+    }
+  }
+
+  __registerListeners() {
+    const ih = new IncomingHandlers(this);
+    this.incoming = ih;
+    this.__listen('buddyCapabilities', ih.buddyCapabilities.bind(ih));
+    this.__listen('close', this.__onClose.bind(this));
+    this.__listen('chatstate', ih.chatstate.bind(ih));
+    this.__listen('error', ih.error.bind(ih));
+    this.__listen('online', ih.online.bind(ih));
+    this.__listen('subscribe', ih.subscribe.bind(ih));
+    this.__listen('unsubscribe', ih.unsubscribe.bind(ih));
+    this.__listen('stanza', (stanza) => {
+      if ((!this.streamManagement.handle(stanza)) && (!this.iq.handle(stanza))) {
+        ih.__stanza(stanza);
+      }
+    });
+  }
+
+  __listen(event, handler) {
+    this.__listeners.push([event, handler]);
+    this.client.on(event, handler);
+  }
+
+  __removeListeners() {
+    this.__listeners.forEach((listener) => {
+      this.client.removeListener(listener[0], listener[1]);
+    });
+    this.__listeners = [];
+  }
+
+  __failQueuedJobs(reason) {
+    this.reconnect.drain().forEach((entry) => {
+      entry.done(reason);
+    });
+  }
+
+  __onClose() {
+    if ((this.closed) || (this.reconnect.active)) {
+      return;
+    }
+    this.debug('connection closed for ' + this.fullJid + ', reconnecting');
+    // responses to anything sent on the old stream will never arrive
+    this.iq.failAll('connection lost');
+    this.__scheduleReconnect();
+  }
+
+  __scheduleReconnect() {
+    const delay = this.reconnect.schedule((attempt) => {
+      if (this.closed) {
+        return;
+      }
+      this.debug('reconnect attempt ' + attempt + ' for ' + this.fullJid);
+      this.__connect((err) => {
+        if (err) {
+          this.debug('reconnect attempt ' + attempt + ' failed: ' + err);
+          return this.__scheduleReconnect();
+        }
+        this.__onReconnected();
+      });
+    });
+
+    if (delay === false) {
+      const msg = 'unable to reconnect after ' + this.reconnect.attempts + ' attempts';
+      this.debug(msg);
+      this.__failQueuedJobs(msg);
+      // the platform drops closed connections, the next job will connect afresh
+      this.disconnect();
+      this.sendToClient({
+        '@type': 'close',
+        actor: this.actor,
+        target: this.actor,
+        object: {
+          '@type': 'error',
+          content: msg
+        }
+      });
+      return;
+    }
+
+    this.sendToClient({
+      '@type': 'reconnecting',
+      actor: this.actor,
+      target: this.actor,
+      object: {
+        '@type': 'connection',
+        attempt: this.reconnect.attempts,
+        delay: delay
+      }
+    });
+  }
+
+  __onReconnected() {
+    const attempts = this.reconnect.attempts;
+    const resumed = this.streamManagement.resumed;
+    this.reconnect.reset();
+    this.debug('reconnected ' + this.fullJid + ' after ' + attempts + ' attempts' +
+               ((resumed) ? ', stream resumed' : ''));
+    this.sendToClient({
+      '@type': 'reconnected',
+      actor: this.actor,
+      target: this.actor,
+      object: {
+        '@type': 'connection',
+        attempts: attempts,
+        resumed: resumed
+      }
+    });
+
+    // a resumed stream is still in the rooms, and keeps carbons and subscriptions
+    if (!resumed) {
+      Object.keys(this.rooms).forEach((room) => {
+        this.debug('rejoining ' + room);
+        this.joinRoom(room, this.rooms[room].nick, { password: this.rooms[room].password });
+      });
+
+      this.__enableStreamManagement();
+      this.__enableCarbons();
+      this.__loadBookmarks();
+      this.__enableOmemo();
+    }
+
+    this.reconnect.drain().forEach((entry) => {
+      this.session[entry.type](entry.job, entry.credentials, entry.done);
+    });
+  }
+
+  /**
+   * Carbons (XEP-0280) are opt-in, and have to be enabled for every new session.
+   */
+  __enableCarbons() {
+    if (!this.options.carbons) {
+      return;
+    }
+    this.debug('enabling message carbons');
+    const stanza = new this.Element('iq', { type: 'set' });
+    stanza.c('enable', { xmlns: NS.CARBONS });
+    this.sendIq(stanza, (err) => {
+      if (err) {
+        this.debug('failed to enable message carbons: ' + err);
+      }
+    });
+  }
+
+  /**
+   * Once online, our bookmarks are sent to the client, and the rooms marked
+   * for autojoin we aren't in yet are joined. Changes made by our other
+   * clients are pushed to us from then on.
+   */
+  __loadBookmarks() {
+    if (!this.options.bookmarks) {
+      return;
+    }
+    this.debug('loading bookmarks');
+    Bookmarks.subscribe(this, (err) => {
+      if (err) {
+        this.debug(err);
+      }
+    });
+    this.fetchBookmarks((err, bookmarks) => {
+      if (err) {
+        return this.debug(err);
+      }
+      bookmarks.filter((bookmark) => {
+        return (bookmark.autojoin) && (!this.rooms[bookmark['@id']]);
+      }).forEach((bookmark) => {
+        this.debug('joining bookmarked room ' + bookmark['@id']);
+        this.joinRoom(bookmark['@id'], bookmark.nick || this.actor.displayName || this.credentials.object.username,
+                      { password: bookmark.password });
+      });
+    });
+  }
+
+  /**
+   * OMEMO (XEP-0384) is opt-in. Our bundle is published for every new
+   * session, and our device added to our device list if one of our other
+   * clients dropped it in the meantime.
+   */
+  __enableOmemo() {
+    if (!this.omemo) {
+      return;
+    }
+    this.debug('publishing OMEMO keys');
+    this.omemo.start((err) => {
+      if (err) {
+        this.debug(err);
+      }
+    });
+  }
+
+  /**
+   * Enables XEP-0198 on the current connection (if the server supports it) and
+   * deals with any messages from a previous connection which were never
+   * acknowledged, either re-sending them or reporting them back as failed.
+   */
+  __enableStreamManagement() {
+    const unacked = this.streamManagement.takeUnacked();
+    if (StreamManagement.supported(this.client.conn)) {
+      this.debug('enabling stream management');
+      this.streamManagement.enable(this.client.conn);
+    }
+
+    unacked.forEach((entry) => {
+      const job = entry.meta.job;
+      if (this.streamManagement.cfg.retransmit) {
+        this.debug('re-sending unacknowledged message to ' + job.target['@id']);
+        // the same stanza, so its id still matches receipts and duplicates can be told apart
+        this.streamManagement.context(entry.meta, () => { this.sendStanza(entry.stanza); });
+      } else {
+        this.sendToClient({
+          '@type': 'send',
+          actor: job.actor,
+          target: job.target,
+          object: {
+            '@type': 'error',
+            content: 'message delivery could not be confirmed: ' + job.object.content
+          }
+        });
+      }
+    });
+  }
+}
+
+module.exports = Connection;
@@ -0,0 +1,75 @@
+const NS_DATA = 'jabber:x:data';
+
+/**
+ * Build a XEP-0004 data form of the given type (eg. 'submit'), with a hidden
+ * FORM_TYPE field. `fields` maps field names to a value or list of values,
+ * fields with an undefined value are left out.
+ */
+function build(Element, type, formType, fields) {
+  const x = new Element('x', { xmlns: NS_DATA, type: type });
+  if (formType) {
+    x.c('field', { var: 'FORM_TYPE', type: 'hidden' }).c('value').t(formType);
+  }
+  Object.keys(fields).forEach((name) => {
+    if (typeof fields[name] === 'undefined') {
+      return;
+    }
+    const field = x.c('field', { var: name });
+    [].concat(fields[name]).forEach((value) => {
+      field.c('value').t(String(value));
+    });
+  });
+  return x;
+}
+
+/**
+ * Read the fields of a received data form into an object mapping field names
+ * to their value, or list of values for `*-multi` fields.
+ */
+function parse(x) {
+  const fields = {};
+  x.getChildren('field').forEach((field) => {
+    if (!field.attrs.var) {
+      return;
+    }
+    const values = field.getChildren('value').map((value) => { return value.getText(); });
+    const multi = (typeof field.attrs.type === 'string') && (field.attrs.type.slice(-6) === '-multi');
+    fields[field.attrs.var] = multi ? values : values[0];
+  });
+  return fields;
+}
+
+/**
+ * Describe the fields of a received data form, with their type, label,
+ * current value (a list for `*-multi` fields) and the options to choose from,
+ * so the form can be presented to a client.
+ */
+function describe(x) {
+  const values = parse(x);
+  return x.getChildren('field').filter((field) => {
+    return (field.attrs.var) && (field.attrs.var !== 'FORM_TYPE');
+  }).map((field) => {
+    const description = {
+      var: field.attrs.var,
+      type: field.attrs.type || 'text-single',
+      value: values[field.attrs.var]
+    };
+    if (field.attrs.label) {
+      description.label = field.attrs.label;
+    }
+    const options = field.getChildren('option');
+    if (options.length) {
+      description.options = options.map((option) => {
+        return { label: option.attrs.label, value: option.getChildText('value') };
+      });
+    }
+    return description;
+  });
+}
+
+module.exports = {
+  NS: NS_DATA,
+  build: build,
+  describe: describe,
+  parse: parse
+};
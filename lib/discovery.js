@@ -0,0 +1,239 @@
+const DataForms = require('./data-forms');
+const NS = require('./namespaces');
+
+const DEFAULT_MAX = 50; // items per page, unless the client asks for another page size
+const MAX_ROOMS = 100; // rooms per page at most, each of them is asked for its details
+const ROOM_REQUESTS = 5; // how many rooms are asked for their details at once
+
+const ROOM_INFO = 'http://jabber.org/protocol/muc#roominfo';
+
+/**
+ * What an entity is and supports (XEP-0030), as an activity object: its
+ * identities, features and any extended information forms (XEP-0128).
+ */
+function info(connection, jid, node, cb) {
+  const stanza = new connection.Element('iq', { type: 'get', to: jid });
+  stanza.c('query', { xmlns: NS.DISCO_INFO, node: node });
+  connection.sendIq(stanza, (err, result) => {
+    if (err) {
+      return cb('discovering ' + jid + ' failed: ' + err);
+    }
+    const query = result.getChild('query', NS.DISCO_INFO);
+    const object = {
+      '@type': 'info',
+      identities: [],
+      features: [],
+      forms: []
+    };
+    if (node) {
+      object.node = node;
+    }
+    if (!query) {
+      return cb(undefined, object);
+    }
+    object.identities = query.getChildren('identity').map((identity) => {
+      const description = { category: identity.attrs.category, type: identity.attrs.type };
+      if (identity.attrs.name) {
+        description.name = identity.attrs.name;
+      }
+      return description;
+    });
+    object.features = query.getChildren('feature').map((feature) => { return feature.attrs.var; });
+    object.forms = query.getChildren('x', DataForms.NS).map((x) => {
+      return { formType: DataForms.parse(x).FORM_TYPE, fields: DataForms.describe(x) };
+    });
+    cb(undefined, object);
+  });
+}
+
+/**
+ * The items of an entity (XEP-0030), one page at a time (XEP-0059). `paging`
+ * may hold the page size (`max`) and the `after` or `before` cursor, an
+ * empty `before` gets the last page.
+ */
+function items(connection, jid, node, paging, cb) {
+  request(connection, jid, node, paging, (err, list, set) => {
+    if (err) {
+      return cb(err);
+    }
+    // entities which don't support paging send everything at once
+    const result = (set) ? { items: list, set: set } : page(list, paging);
+    const object = Object.assign({ '@type': 'items' }, result.set);
+    object.items = result.items.map(itemObject);
+    cb(undefined, object);
+  });
+}
+
+/**
+ * The rooms of a MUC service, with the name, description and number of
+ * occupants of each room on the page, as far as the rooms tell us. With a
+ * `search` string, only rooms whose name or address contain it are listed.
+ */
+function rooms(connection, service, paging, cb) {
+  paging = Object.assign({}, paging, { max: Math.min(pageSize(paging), MAX_ROOMS) });
+  const search = (typeof paging.search === 'string') ? paging.search.toLowerCase() : undefined;
+  // the service can't search for us, so matches are found (and paged) on the complete list
+  request(connection, service, undefined, (search) ? undefined : paging, (err, list, set) => {
+    if (err) {
+      return cb(err);
+    }
+    const matches = list.filter((item) => {
+      return (typeof search === 'undefined') ||
+             ((item.attrs.name || '').toLowerCase().indexOf(search) >= 0) ||
+             (item.attrs.jid.toLowerCase().indexOf(search) >= 0);
+    });
+    const result = ((set) && (typeof search === 'undefined')) ? { items: list, set: set } : page(matches, paging);
+    const object = Object.assign({ '@type': 'rooms' }, result.set);
+    if (typeof search !== 'undefined') {
+      object.search = paging.search;
+    }
+
+    // a service may send more than we asked for
+    object.rooms = result.items.slice(0, MAX_ROOMS).map((item) => {
+      const room = { '@type': 'room', '@id': item.attrs.jid };
+      if (item.attrs.name) {
+        room.name = item.attrs.name;
+      }
+      return room;
+    });
+    let pending = object.rooms.length;
+    if (!pending) {
+      return cb(undefined, object);
+    }
+    let next = 0;
+    const discover = () => {
+      const room = object.rooms[next++];
+      info(connection, room['@id'], undefined, (err, details) => {
+        if (!err) {
+          roomInfo(room, details);
+        }
+        pending--;
+        if (!pending) {
+          return cb(undefined, object);
+        }
+        if (next < object.rooms.length) {
+          discover();
+        }
+      });
+    };
+    while ((next < ROOM_REQUESTS) && (next < object.rooms.length)) {
+      discover();
+    }
+  });
+}
+
+/**
+ * Adds what the disco#info of a room (XEP-0045 section 6.4) tells us about it.
+ */
+function roomInfo(room, details) {
+  const identity = details.identities.filter((identity) => {
+    return identity.category === 'conference';
+  })[0];
+  if ((identity) && (identity.name)) {
+    room.name = identity.name;
+  }
+  const form = details.forms.filter((form) => { return form.formType === ROOM_INFO; })[0];
+  const fields = {};
+  ((form) ? form.fields : []).forEach((field) => { fields[field.var] = field.value; });
+  if (fields['muc#roominfo_description']) {
+    room.description = fields['muc#roominfo_description'];
+  }
+  const occupants = parseInt(fields['muc#roominfo_occupants'], 10);
+  if (!isNaN(occupants)) {
+    room.occupants = occupants;
+  }
+  room.passwordProtected = details.features.indexOf('muc_passwordprotected') >= 0;
+  room.membersOnly = details.features.indexOf('muc_membersonly') >= 0;
+}
+
+/**
+ * Request the items of `jid`, calls back with the list of `<item/>` elements
+ * and the paging cursor, if the entity supports paging.
+ */
+function request(connection, jid, node, paging, cb) {
+  const stanza = new connection.Element('iq', { type: 'get', to: jid });
+  const query = stanza.c('query', { xmlns: NS.DISCO_ITEMS, node: node });
+  if (paging) {
+    const set = query.c('set', { xmlns: NS.RSM });
+    set.c('max').t(String(pageSize(paging)));
+    if (typeof paging.before === 'string') {
+      set.c('before').t(paging.before);
+    } else if (paging.after) {
+      set.c('after').t(paging.after);
+    }
+  }
+  connection.sendIq(stanza, (err, result) => {
+    if (err) {
+      return cb('listing items of ' + jid + ' failed: ' + err);
+    }
+    const response = result.getChild('query', NS.DISCO_ITEMS);
+    const list = (response) ? response.getChildren('item').filter((item) => { return item.attrs.jid; }) : [];
+    const set = (response) ? response.getChild('set', NS.RSM) : undefined;
+    cb(undefined, list, (set) ? cursor(set) : undefined);
+  });
+}
+
+/**
+ * The paging cursor of a result set (XEP-0059) as sent to the client.
+ */
+function cursor(set) {
+  const object = {};
+  ['first', 'last'].forEach((name) => {
+    if (set.getChild(name)) {
+      object[name] = set.getChildText(name);
+    }
+  });
+  if (set.getChild('count')) {
+    object.count = parseInt(set.getChildText('count'), 10);
+  }
+  return object;
+}
+
+/**
+ * Page through a complete list of items ourselves, with the JIDs of the
+ * items as the `first` and `last` cursor.
+ */
+function page(list, paging) {
+  paging = paging || {};
+  const max = pageSize(paging);
+  const position = (jid) => {
+    const index = list.map((item) => { return item.attrs.jid; }).indexOf(jid);
+    return (index < 0) ? list.length : index;
+  };
+  let start = 0;
+  let end;
+  if (typeof paging.before === 'string') {
+    end = (paging.before) ? position(paging.before) : list.length;
+    start = Math.max(0, end - max);
+  } else {
+    start = (paging.after) ? position(paging.after) + 1 : 0;
+    end = start + max;
+  }
+  const items = list.slice(start, end);
+  const set = { count: list.length };
+  if (items.length) {
+    set.first = items[0].attrs.jid;
+    set.last = items[items.length - 1].attrs.jid;
+  }
+  return { items: items, set: set };
+}
+
+function pageSize(paging) {
+  return parseInt(paging.max, 10) || DEFAULT_MAX;
+}
+
+function itemObject(item) {
+  const object = { '@id': item.attrs.jid };
+  ['name', 'node'].forEach((name) => {
+    if (item.attrs[name]) {
+      object[name] = item.attrs[name];
+    }
+  });
+  return object;
+}
+
+module.exports = {
+  info: info,
+  items: items,
+  rooms: rooms
+};
@@ -1,8 +1,235 @@
 
-let idCounter = 0;
+const Bookmarks = require('./bookmarks');
+const NS = require('./namespaces');
 
-function nextId() {
-  return ++idCounter;
+/**
+ * Picks the most stable identifier available for a message (XEP-0359): a
+ * `stanza-id` assigned by the entity we trust (our own server, or the room),
+ * the senders `origin-id`, or the id attribute of the stanza.
+ */
+function messageId(stanza, by) {
+  const stanzaIds = stanza.getChildren('stanza-id', NS.SID);
+  for (let i = 0; i < stanzaIds.length; i++) {
+    if ((stanzaIds[i].attrs.by === by) && (stanzaIds[i].attrs.id)) {
+      return stanzaIds[i].attrs.id;
+    }
+  }
+  const originId = stanza.getChild('origin-id', NS.SID);
+  if ((originId) && (originId.attrs.id)) {
+    return originId.attrs.id;
+  }
+  return stanza.attrs.id;
+}
+
+/**
+ * How many received messages we remember the ids of, to match up corrections.
+ */
+const KNOWN_MESSAGES = 1000;
+
+function bareJid(jid) {
+  return (typeof jid === 'string') ? jid.split('/')[0] : '';
+}
+
+/**
+ * Normalizes a XEP-0082 (or legacy XEP-0091 `CCYYMMDDThh:mm:ss`) timestamp to
+ * an ISO string, `undefined` if invalid.
+ */
+function timestamp(stamp) {
+  if (typeof stamp !== 'string') {
+    return undefined;
+  }
+  const legacy = stamp.match(/^(\d{4})(\d{2})(\d{2})T(\d{2}:\d{2}:\d{2})$/);
+  const date = new Date((legacy) ? `${legacy[1]}-${legacy[2]}-${legacy[3]}T${legacy[4]}Z` : stamp);
+  return (isNaN(date.getTime())) ? undefined : date.toISOString();
+}
+
+/**
+ * The delayed delivery (XEP-0203) time of a stanza, if any.
+ */
+function delayStamp(stanza) {
+  const delay = stanza.getChild('delay', NS.DELAY) || stanza.getChild('x', NS.LEGACY_DELAY);
+  return (delay) ? timestamp(delay.attrs.stamp) : undefined;
+}
+
+/**
+ * Sets `published` to the delayed delivery time if there is one, marking the
+ * activity as `delayed`, otherwise to the time we received it.
+ */
+function published(activity, stamp) {
+  if (stamp) {
+    activity.published = stamp;
+    activity.delayed = true;
+  } else {
+    activity.published = new Date().toISOString();
+  }
+  return activity;
+}
+
+/**
+ * Actor and target for an activity about a chat or groupchat message: the
+ * sender and us for private messages, the occupant and room for groupchat.
+ */
+function messageParties(stanza, self) {
+  const from = stanza.attrs.from.split('/');
+  if (stanza.attrs.type === 'groupchat') {
+    return {
+      actor: { '@type': 'person', '@id': from.slice(1).join('/') },
+      target: { '@type': 'room', '@id': from[0] }
+    };
+  }
+  return {
+    actor: { '@type': 'person', '@id': from[0] },
+    target: self
+  };
+}
+
+/**
+ * The message object of an activity, including the message it replies to
+ * (XEP-0461) and any attachment, if the stanza has them.
+ */
+function messageObject(content, id, stanza) {
+  const object = {
+    '@type': 'message',
+    content: content
+  };
+  if (id) {
+    object['@id'] = id;
+  }
+  const reply = (stanza) ? stanza.getChild('reply', NS.REPLY) : undefined;
+  if ((reply) && (reply.attrs.id)) {
+    object.inReplyTo = {
+      '@type': 'message',
+      '@id': reply.attrs.id
+    };
+    if (reply.attrs.to) {
+      object.inReplyTo.actor = { '@id': reply.attrs.to };
+    }
+  }
+  if (stanza) {
+    attachment(object, stanza);
+    encryption(object, stanza);
+  }
+  return object;
+}
+
+/**
+ * End-to-end encrypted payloads we recognise without an explicit encryption
+ * element, by the namespace of the element carrying them.
+ */
+const ENCRYPTED_PAYLOADS = {
+  [NS.OMEMO]: 'OMEMO',
+  [NS.LEGACY_OMEMO]: 'OMEMO',
+  'urn:xmpp:openpgp:0': 'OpenPGP for XMPP',
+  'jabber:x:encrypted': 'Legacy OpenPGP'
+};
+
+/**
+ * Marks messages which are end-to-end encrypted (XEP-0380) with the name of
+ * the encryption used. With OMEMO enabled, private OMEMO messages arrive here
+ * decrypted. For anything else the platform holds no keys, the `content` is
+ * whatever fallback body the sender included.
+ */
+function encryption(object, stanza) {
+  const eme = stanza.getChild('encryption', NS.EME);
+  if ((eme) && (eme.attrs.namespace)) {
+    object.encryption = eme.attrs.name || ENCRYPTED_PAYLOADS[eme.attrs.namespace] || eme.attrs.namespace;
+    return;
+  }
+  const payload = stanza.children.filter((child) => {
+    return (typeof child === 'object') && (ENCRYPTED_PAYLOADS.hasOwnProperty(child.attrs.xmlns));
+  })[0];
+  if (payload) {
+    object.encryption = ENCRYPTED_PAYLOADS[payload.attrs.xmlns];
+  }
+}
+
+/**
+ * Adds the `url` of out of band data (XEP-0066) to a message object, along
+ * with the `name`, `mediaType` and `size` if the sender included the file
+ * metadata (XEP-0446) of a file share (XEP-0447).
+ */
+function attachment(object, stanza) {
+  const oob = stanza.getChild('x', NS.OOB);
+  const url = (oob) ? oob.getChildText('url') : undefined;
+  if (!url) {
+    return;
+  }
+  object.url = url;
+  const share = stanza.getChild('file-sharing', NS.FILE_SHARING);
+  const file = (share) ? share.getChild('file', NS.FILE_METADATA) : undefined;
+  if (!file) {
+    return;
+  }
+  const name = file.getChildText('name');
+  const mediaType = file.getChildText('media-type');
+  const size = parseInt(file.getChildText('size'), 10);
+  if (name) {
+    object.name = name;
+  }
+  if (mediaType) {
+    object.mediaType = mediaType;
+  }
+  if (!isNaN(size)) {
+    object.size = size;
+  }
+}
+
+/**
+ * Why a room refused to let us in, or to change our nickname (XEP-0045), by
+ * error condition.
+ */
+const ROOM_ERRORS = {
+  'not-authorized': 'this room requires a password, none or the wrong one was given',
+  'registration-required': 'only members may join this room',
+  'forbidden': 'banned from this room',
+  'conflict': 'nickname already in use',
+  'service-unavailable': 'this room is full',
+  'item-not-found': 'this room does not exist',
+  'not-allowed': 'not allowed to create this room',
+  'not-acceptable': 'nickname not accepted by this room'
+};
+
+/**
+ * Room occupant status codes (XEP-0045) for occupants being removed, and what
+ * was changed to remove them.
+ */
+const REMOVALS = {
+  '301': { type: 'affiliation', status: 'banned' },
+  '307': { type: 'role', status: 'kicked' },
+  '321': { type: 'affiliation', status: 'removed' }
+};
+
+/**
+ * The presence of a contact or occupant, from the `show` and type of their
+ * presence stanza.
+ */
+function presenceState(stanza) {
+  if (stanza.attrs.type === 'unavailable') {
+    return 'offline';
+  }
+  const show = stanza.getChildText('show');
+  return ((show) && (show !== 'chat')) ? show : 'online';
+}
+
+/**
+ * A room occupant as sent to the client, from the entry kept for them in the
+ * rooms occupant list.
+ */
+function occupantObject(nick, occupant) {
+  const object = {
+    '@type': 'occupant',
+    nick: nick,
+    role: occupant.role,
+    affiliation: occupant.affiliation,
+    presence: occupant.presence
+  };
+  if (occupant.jid) {
+    object.jid = occupant.jid;
+  }
+  if (occupant.status) {
+    object.status = occupant.status;
+  }
+  return object;
 }
 
 // if the platform throws an exception, the worker will kill & restart it, however if a callback comes in there could
@@ -19,8 +246,18 @@ function referenceProtection(session) {
   }
   return {
     actor: session.actor,
+    // the bare JID of our account, which is what servers and rooms refer to us by
+    account: bareJid(session.fullJid),
+    options: session.options || {},
+    rooms: session.rooms || {},
+    bookmarks: session.bookmarks || {},
+    historyQueries: session.historyQueries || {},
+    omemo: session.omemo,
+    Element: session.Element,
     debug: checkScope('debug'),
-    sendToClient: checkScope('sendToClient')
+    sendToClient: checkScope('sendToClient'),
+    sendStanza: checkScope('sendStanza'),
+    roomCreated: checkScope('roomCreated')
   }
 }
 
@@ -28,10 +265,61 @@ function referenceProtection(session) {
 class IncomingHandlers {
   constructor(session) {
     this.session = referenceProtection(session);
+    this.__knownMessages = new Map();
+    this.__sentMessages = new Map();
+    this.__decrypted = new WeakSet();
+  }
+
+  /**
+   * Bookmarks added, changed or removed by one of our clients (including this
+   * one) are sent as `update` and `delete` activities.
+   */
+  bookmarksChanged(from, items) {
+    const actor = {
+      '@id': from,
+      '@type': 'person'
+    };
+    items.getChildren('item').forEach((item) => {
+      const bookmark = Bookmarks.fromItem(item);
+      if (!bookmark) {
+        return;
+      }
+      this.session.debug('bookmark for ' + bookmark['@id'] + ' changed');
+      this.session.bookmarks[bookmark['@id']] = bookmark;
+      this.session.sendToClient({
+        '@type': 'update',
+        actor: actor,
+        target: {
+          '@id': bookmark['@id'],
+          '@type': 'room'
+        },
+        object: bookmark
+      });
+    });
+    items.getChildren('retract').forEach((retract) => {
+      if (!retract.attrs.id) {
+        return;
+      }
+      this.session.debug('bookmark for ' + retract.attrs.id + ' removed');
+      delete this.session.bookmarks[retract.attrs.id];
+      this.session.sendToClient({
+        '@type': 'delete',
+        actor: actor,
+        target: {
+          '@id': retract.attrs.id,
+          '@type': 'room'
+        },
+        object: {
+          '@type': 'bookmark',
+          '@id': retract.attrs.id
+        }
+      });
+    });
   }
 
   buddy(from, state, statusText) {
-    if (from !== this.session.actor['@id']) {
+    // presence from rooms is handled in __presence
+    if ((from !== this.session.account) && (!this.session.rooms[from])) {
       this.session.debug('received buddy presence update: ' + from + ' - ' + state);
       this.session.sendToClient({
         '@type': 'update',
@@ -50,36 +338,125 @@ class IncomingHandlers {
     this.session.debug('received buddyCapabilities: ' + id);
   }
 
-  chat(from, message) {
+  /**
+   * A copy of a message sent or received by another one of our resources
+   * (XEP-0280), `direction` is either 'sent' or 'received'.
+   */
+  carbon(direction, message, stamp) {
+    const body = message.getChild('body');
+    if ((!body) || (!message.attrs.from)) {
+      return;
+    }
+    this.session.debug('received ' + direction + ' carbon from ' + message.attrs.from);
+    this.session.sendToClient(published({
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': bareJid(message.attrs.from)
+      },
+      target: (direction === 'sent') ? {
+        '@type': 'person',
+        '@id': bareJid(message.attrs.to)
+      } : this.session.actor,
+      object: messageObject(body.getText(), messageId(message, this.session.account), message),
+      carbon: true
+    }, stamp));
+  }
+
+  chat(from, message, stanza) {
     this.session.debug("received chat message from " + from);
-    this.session.sendToClient({
+    const id = (stanza) ? messageId(stanza, this.session.account) : undefined;
+    if (stanza) {
+      this.__rememberMessage(stanza, id);
+    }
+    this.session.sendToClient(published({
       '@type': 'send',
       actor: {
         '@type': 'person',
         '@id': from
       },
       target: this.session.actor,
-      object: {
-        '@type': 'message',
-        content: message,
-        '@id': nextId()
-      }
-    });
+      object: messageObject(message, id, stanza)
+    }, (stanza) ? delayStamp(stanza) : undefined));
+  }
+
+  /**
+   * A private message from a room occupant (XEP-0045), they're only known by
+   * their nick in the room.
+   */
+  privateMessage(room, nick, message, stanza) {
+    this.session.debug('received private message from ' + nick + ' in ' + room);
+    const id = (stanza) ? messageId(stanza, this.session.account) : undefined;
+    if (stanza) {
+      this.__rememberMessage(stanza, id);
+    }
+    this.session.sendToClient(published({
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': `${room}/${nick}`,
+        displayName: nick,
+        room: {
+          '@type': 'room',
+          '@id': room
+        }
+      },
+      target: this.session.actor,
+      object: messageObject(message, id, stanza)
+    }, (stanza) ? delayStamp(stanza) : undefined));
   }
 
   chatstate(from, name) {
     this.session.debug('received chatstate event: ' + from, name);
+    this.session.sendToClient({
+      '@type': 'update',
+      actor: {
+        '@type': 'person',
+        '@id': from
+      },
+      target: this.session.actor,
+      object: {
+        '@type': 'chatstate',
+        chatstate: name
+      }
+    });
   }
 
-  close() {
-    this.session.debug('received close event with no handler specified');
+  groupChatstate(room, from, name) {
+    this.session.debug('received groupchat chatstate event: ' + room, from, name);
     this.session.sendToClient({
-      '@type': 'close',
-      actor: this.session.actor,
-      target: this.session.actor
+      '@type': 'update',
+      actor: {
+        '@type': 'person',
+        '@id': `${room}/${from}`,
+        displayName: from
+      },
+      target: {
+        '@type': 'room',
+        '@id': room
+      },
+      object: {
+        '@type': 'chatstate',
+        chatstate: name
+      }
     });
-    this.session.debug('**** xmpp this.session.for ' + this.session.actor['@id'] + ' closed');
-    this.session.connection.disconnect();
+  }
+
+  /**
+   * A correction (XEP-0308) of an earlier message, `id` being the id of the
+   * message that's replaced, as its sender knows it. The `update` refers to
+   * the message by the `@id` it was sent to the client with.
+   */
+  correction(stanza, id, content) {
+    this.session.debug('received correction of message ' + id + ' from ' + stanza.attrs.from);
+    id = this.__knownMessages.get(this.__sender(stanza) + ' ' + id) || id;
+    const parties = messageParties(stanza, this.session.actor);
+    this.session.sendToClient(published({
+      '@type': 'update',
+      actor: parties.actor,
+      target: parties.target,
+      object: messageObject(content, id, stanza)
+    }, delayStamp(stanza)));
   }
 
   error(error) {
@@ -118,9 +495,14 @@ class IncomingHandlers {
     });
   }
 
-  groupChat(room, from, message, stamp) {
+  groupChat(room, from, message, stamp, stanza) {
     this.session.debug('received groupchat event: ' + room, from, message, stamp);
-    this.session.sendToClient({
+    const id = (stanza) ? messageId(stanza, room) : undefined;
+    if (stanza) {
+      this.__rememberMessage(stanza, id);
+    }
+    // room history sent on join is delayed as well
+    this.session.sendToClient(published({
       '@type': 'send',
       actor: {
         '@type': 'person',
@@ -130,10 +512,240 @@ class IncomingHandlers {
         '@type': 'room',
         '@id': room
       },
-      object: {
+      object: messageObject(message, id, stanza)
+    }, ((stanza) && (delayStamp(stanza))) || timestamp(stamp)));
+  }
+
+  historyComplete(stanza) {
+    const fin = stanza.getChild('fin', NS.MAM);
+    if (!fin) {
+      return;
+    }
+    this.session.debug('received end of history from ' + stanza.attrs.from);
+    const own = this.session.account;
+    const from = stanza.attrs.from || own;
+    const set = fin.getChild('set', NS.RSM);
+    const object = {
+      '@type': 'history',
+      '@id': stanza.attrs.id,
+      complete: fin.attrs.complete === 'true'
+    };
+    if (set) {
+      ['first', 'last'].forEach((name) => {
+        if (set.getChild(name)) {
+          object[name] = set.getChildText(name);
+        }
+      });
+      if (set.getChild('count')) {
+        object.count = parseInt(set.getChildText('count'), 10);
+      }
+    }
+    this.session.sendToClient({
+      '@type': 'observe',
+      actor: {
+        '@id': from,
+        '@type': (from === own) ? 'person' : 'room'
+      },
+      target: this.session.actor,
+      object: object
+    });
+  }
+
+  historyMessage(result) {
+    const forwarded = result.getChild('forwarded', NS.FORWARD);
+    const message = (forwarded) ? forwarded.getChild('message') : undefined;
+    const body = (message) ? message.getChild('body') : undefined;
+    if ((!body) || (!message.attrs.from)) {
+      return;
+    }
+    this.session.debug('received archived message ' + result.attrs.id);
+    const from = message.attrs.from.split('/');
+    let actor, target;
+    if (message.attrs.type === 'groupchat') {
+      actor = { '@type': 'person', '@id': from.slice(1).join('/') };
+      target = { '@type': 'room', '@id': from[0] };
+    } else {
+      actor = { '@type': 'person', '@id': from[0] };
+      target = { '@type': 'person', '@id': bareJid(message.attrs.to) };
+    }
+    const activity = published({
+      '@type': 'send',
+      actor: actor,
+      target: target,
+      object: messageObject(body.getText(), result.attrs.id, message)
+    }, delayStamp(forwarded));
+    // archived messages are always backlog
+    activity.delayed = true;
+    this.session.sendToClient(activity);
+  }
+
+  /**
+   * A message was retracted (XEP-0424), either by its sender or by a room
+   * moderator (XEP-0425). Clients should hide the original message, but only
+   * if it was sent by the same actor (or when moderated).
+   */
+  retraction(stanza, retract) {
+    this.session.debug('received retraction of message ' + retract.attrs.id + ' from ' + stanza.attrs.from);
+    const parties = messageParties(stanza, this.session.actor);
+    const object = {
+      '@type': 'message',
+      '@id': retract.attrs.id
+    };
+    // only the room itself can moderate, from an occupant it's a retraction of their own
+    const moderated = retract.getChild('moderated', NS.MODERATE);
+    if ((moderated) && (stanza.attrs.type === 'groupchat') && (stanza.attrs.from.indexOf('/') < 0)) {
+      const by = (moderated.attrs.by || '').split('/');
+      parties.actor = { '@type': 'person', '@id': by.slice(1).join('/') };
+      object.moderated = true;
+      if (retract.getChild('reason')) {
+        object.reason = retract.getChildText('reason');
+      }
+    }
+    this.session.sendToClient(published({
+      '@type': 'delete',
+      actor: parties.actor,
+      target: parties.target,
+      object: object
+    }, delayStamp(stanza)));
+  }
+
+  invitation(from, room, details) {
+    this.session.debug('received invitation to ' + room + ' from ' + from);
+    const object = {
+      '@type': 'room',
+      '@id': room,
+      mediated: details.mediated
+    };
+    if (details.reason) {
+      object.reason = details.reason;
+    }
+    if (details.password) {
+      object.password = details.password;
+    }
+    this.session.sendToClient({
+      '@type': 'invite',
+      actor: {
+        '@id': from,
+        '@type': 'person'
+      },
+      target: this.session.actor,
+      object: object
+    });
+  }
+
+  invitationDeclined(from, room, reason) {
+    this.session.debug(from + ' declined the invitation to ' + room);
+    const object = {
+      '@type': 'room',
+      '@id': room
+    };
+    if (reason) {
+      object.reason = reason;
+    }
+    this.session.sendToClient({
+      '@type': 'decline',
+      actor: {
+        '@id': from,
+        '@type': 'person'
+      },
+      target: this.session.actor,
+      object: object
+    });
+  }
+
+  occupantChange(room, nick, item, type, status) {
+    this.session.debug(type + ' of ' + nick + ' in ' + room + ' changed' + ((status) ? ', ' + status : ''));
+    const object = {
+      '@type': type,
+      nick: nick
+    };
+    object[type] = (item) ? item.attrs[type] : undefined;
+    if ((item) && (item.attrs.jid)) {
+      object.jid = item.attrs.jid;
+    }
+    const reason = (item) ? item.getChildText('reason') : undefined;
+    if (reason) {
+      object.reason = reason;
+    }
+    if (status) {
+      object.status = status;
+    }
+    const by = (item) ? item.getChild('actor') : undefined;
+    this.session.sendToClient({
+      '@type': 'update',
+      actor: ((by) && (by.attrs.nick)) ? {
+        '@id': `${room}/${by.attrs.nick}`,
+        '@type': 'person',
+        displayName: by.attrs.nick
+      } : {
+        '@id': room,
+        '@type': 'room'
+      },
+      target: {
+        '@id': room,
+        '@type': 'room'
+      },
+      object: object
+    });
+  }
+
+  occupantJoined(room, nick, occupant) {
+    this.session.debug(nick + ' joined ' + room);
+    this.session.sendToClient({
+      '@type': 'join',
+      actor: {
+        '@id': `${room}/${nick}`,
+        '@type': 'person',
+        displayName: nick
+      },
+      target: {
+        '@id': room,
+        '@type': 'room'
+      },
+      object: occupantObject(nick, occupant)
+    });
+  }
+
+  occupantLeft(room, nick, status) {
+    this.session.debug(nick + ' left ' + room);
+    const activity = {
+      '@type': 'leave',
+      actor: {
+        '@id': `${room}/${nick}`,
+        '@type': 'person',
+        displayName: nick
+      },
+      target: {
+        '@id': room,
+        '@type': 'room'
+      }
+    };
+    if (status) {
+      activity.object = {
         '@type': 'message',
-        content: message,
-        '@id': nextId()
+        content: status
+      };
+    }
+    this.session.sendToClient(activity);
+  }
+
+  occupantRenamed(room, nick, newNick) {
+    this.session.debug(nick + ' in ' + room + ' is now known as ' + newNick);
+    this.session.sendToClient({
+      '@type': 'update',
+      actor: {
+        '@id': `${room}/${nick}`,
+        '@type': 'person',
+        displayName: nick
+      },
+      target: {
+        '@id': room,
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'person',
+        '@id': `${room}/${newNick}`,
+        displayName: newNick
       }
     });
   }
@@ -143,6 +755,114 @@ class IncomingHandlers {
     this.session.debug('reconnectioned ' + this.session.actor['@id']);
   }
 
+  /**
+   * The complete set of reactions (XEP-0444) the sender has on a message, an
+   * empty list means all their reactions were removed.
+   */
+  reaction(stanza, reactions) {
+    this.session.debug('received reactions to ' + reactions.attrs.id + ' from ' + stanza.attrs.from);
+    const parties = messageParties(stanza, this.session.actor);
+    this.session.sendToClient(published({
+      '@type': 'react',
+      actor: parties.actor,
+      target: parties.target,
+      object: {
+        '@type': 'message',
+        '@id': reactions.attrs.id,
+        reactions: reactions.getChildren('reaction').map((reaction) => {
+          return reaction.getText();
+        })
+      }
+    }, delayStamp(stanza)));
+  }
+
+  receipt(from, id) {
+    this.session.debug('received delivery receipt from ' + from + ' for ' + id);
+    this.session.sendToClient({
+      '@type': 'receipt',
+      actor: {
+        '@type': 'person',
+        '@id': from
+      },
+      target: this.session.actor,
+      object: {
+        '@type': 'message',
+        '@id': id
+      }
+    });
+  }
+
+  /**
+   * A room refused to let us in (`join`), or to change our nickname (`update`).
+   */
+  roomError(type, stanza, error) {
+    const room = bareJid(stanza.attrs.from);
+    const joined = this.session.rooms[room];
+    const condition = Object.keys(ROOM_ERRORS).filter((name) => {
+      return error.getChild(name);
+    })[0];
+    const text = error.getChildText('text');
+    let content = (condition) ? ROOM_ERRORS[condition] :
+        (type === 'join') ? 'unable to join ' + room : 'unable to change nickname in ' + room;
+    if (text) {
+      content += ': ' + text;
+    }
+    this.session.debug(type + ' in ' + room + ' failed: ' + content);
+    if (type === 'join') {
+      // don't try to rejoin it after a reconnect
+      delete this.session.rooms[room];
+    } else if (joined) {
+      delete joined.pendingNick;
+    }
+    this.session.sendToClient({
+      '@type': type,
+      actor: {
+        '@id': room,
+        '@type': 'room'
+      },
+      target: {
+        '@id': stanza.attrs.to,
+        '@type': 'person'
+      },
+      object: {
+        '@type': 'error',
+        condition: condition || 'undefined-condition',
+        content: content
+      }
+    });
+  }
+
+  roomDestroyed(room, destroyed) {
+    this.session.debug('room ' + room + ' was destroyed');
+    const object = {
+      '@type': 'room'
+    };
+    if (destroyed.getChildText('reason')) {
+      object.reason = destroyed.getChildText('reason');
+    }
+    if (destroyed.attrs.jid) {
+      object.alternate = destroyed.attrs.jid;
+    }
+    this.session.sendToClient({
+      '@type': 'delete',
+      actor: {
+        '@id': room,
+        '@type': 'room'
+      },
+      target: {
+        '@id': room,
+        '@type': 'room'
+      },
+      object: object
+    });
+  }
+
+  roomLeft(room, nick, status) {
+    this.session.debug('left room ' + room);
+    delete this.session.rooms[room];
+    this.occupantLeft(room, nick, status);
+  }
+
   subscribe(from) {
     this.session.debug('received subscribe request from ' + from);
     this.session.sendToClient({
@@ -175,6 +895,16 @@ class IncomingHandlers {
         type = 'update';
       }
 
+      const joined = this.session.rooms[bareJid(stanza.attrs.from)];
+      if ((stanza.is('presence')) && (error) && (joined) && (joined.pendingNick) &&
+          (stanza.attrs.from === bareJid(stanza.attrs.from) + '/' + joined.pendingNick)) {
+        return this.roomError('update', stanza, error);
+      }
+      if ((stanza.is('presence')) && (error) && ((stanza.getChild('x', NS.MUC)) || (joined))) {
+        // the room echoes our join presence with the reason it refused us
+        return this.roomError('join', stanza, error);
+      }
+
       if (error) {
         message = error.toString();
         if (error.getChild('remote-server-not-found')) {
@@ -200,12 +930,6 @@ class IncomingHandlers {
         }
       });
     } else if (stanza.is('iq')) {
-      if (stanza.attrs.id === 'muc_id' && stanza.attrs.type === 'result') {
-        this.session.debug('got room attendance list');
-        this.roomAttendance(stanza);
-        return;
-      }
-
       const query = stanza.getChild('query');
 
       if (query) {
@@ -254,12 +978,351 @@ class IncomingHandlers {
           }
         }
       }
+    } else if (stanza.is('presence')) {
+      this.__presence(stanza);
+    } else if (stanza.is('message')) {
+      this.__message(stanza);
     // } else {
     //   this.session.debug("got XMPP unknown stanza... " + stanza);
     }
   }
 
+  /**
+   * Presence of room occupants, recognised by their muc#user element, and of
+   * contacts. The `buddy` event of simple-xmpp isn't used for the latter, as it
+   * also fires for the presences of rooms we're leaving or failed to join.
+   *
+   * The occupants of rooms we've joined are kept track of (role, affiliation,
+   * real JID if visible, presence), so occupants coming and going are sent as
+   * `join` and `leave`, and changes to their role or affiliation (and them
+   * being kicked or banned) can be told apart from plain presence updates. Our
+   * own presence also tells us if a room was created by joining it, or
+   * destroyed.
+   */
+  __presence(stanza) {
+    if (!stanza.attrs.from) {
+      return;
+    }
+    const x = stanza.getChild('x', NS.MUC_USER);
+    if (!x) {
+      // subscription requests are handled by the `subscribe` and `unsubscribe` events of simple-xmpp
+      if ((!stanza.getChild('x', NS.MUC)) && ((!stanza.attrs.type) || (stanza.attrs.type === 'unavailable'))) {
+        this.buddy(bareJid(stanza.attrs.from), presenceState(stanza), stanza.getChildText('status'));
+      }
+      return;
+    }
+    const from = stanza.attrs.from.split('/');
+    const room = from[0];
+    const nick = from.slice(1).join('/');
+    const unavailable = stanza.attrs.type === 'unavailable';
+    const status = stanza.getChildText('status');
+    const codes = x.getChildren('status').map((code) => { return code.attrs.code; });
+    const item = x.getChild('item');
+    const state = presenceState(stanza);
+    const occupant = {
+      role: (item) ? item.attrs.role : undefined,
+      affiliation: (item) ? item.attrs.affiliation : undefined,
+      jid: (item) ? item.attrs.jid : undefined,
+      presence: state,
+      status: status
+    };
+
+    const joined = this.session.rooms[room];
+    const previous = ((joined) && (joined.occupants)) ? joined.occupants[nick] : undefined;
+    if ((joined) && (joined.occupants)) {
+      if (unavailable) {
+        delete joined.occupants[nick];
+      } else {
+        joined.occupants[nick] = occupant;
+      }
+    }
+
+    const destroyed = x.getChild('destroy');
+    if ((unavailable) && (destroyed)) {
+      delete this.session.rooms[room];
+      return this.roomDestroyed(room, destroyed);
+    }
+    if ((!unavailable) && (codes.indexOf('110') >= 0) && (codes.indexOf('201') >= 0)) {
+      this.session.roomCreated(room);
+    }
+
+    const removal = codes.filter((code) => { return REMOVALS.hasOwnProperty(code); })[0];
+    if ((unavailable) && (removal)) {
+      if (codes.indexOf('110') >= 0) {
+        // we're out, don't try to rejoin it after a reconnect
+        delete this.session.rooms[room];
+      }
+      return this.occupantChange(room, nick, item, REMOVALS[removal].type, REMOVALS[removal].status);
+    }
+    if ((unavailable) && (codes.indexOf('303') >= 0) && (item) && (item.attrs.nick)) {
+      if ((joined) && (joined.occupants)) {
+        // the presence from the new nick which follows is part of the rename
+        joined.occupants[item.attrs.nick] = Object.assign({ renamed: true }, occupant);
+      }
+      if ((joined) && (codes.indexOf('110') >= 0)) {
+        joined.nick = item.attrs.nick;
+        delete joined.pendingNick;
+      }
+      return this.occupantRenamed(room, nick, item.attrs.nick);
+    }
+    if ((unavailable) && (codes.indexOf('110') >= 0)) {
+      return this.roomLeft(room, nick, status);
+    }
+    if ((previous) && (previous.renamed)) {
+      return;
+    }
+    if ((joined) && (joined.occupants) && ((unavailable) || (!previous))) {
+      return (unavailable) ? this.occupantLeft(room, nick, status) : this.occupantJoined(room, nick, occupant);
+    }
+    if (previous) {
+      const changes = ['affiliation', 'role'].filter((type) => {
+        return previous[type] !== occupant[type];
+      });
+      changes.forEach((type) => {
+        this.occupantChange(room, nick, item, type);
+      });
+      if (changes.length) {
+        return;
+      }
+    }
+
+    this.groupBuddy(room, nick, state, status);
+  }
+
+  /**
+   * Messages are handled here rather than through the simple-xmpp `chat` and
+   * `groupchat` events, as those don't give us access to the stanza (ids,
+   * extensions, etc.).
+   **/
+  __message(stanza) {
+    // archive results are only accepted for a query we sent, from the archive we queried
+    const result = stanza.getChild('result', NS.MAM);
+    if (result) {
+      const archive = this.session.historyQueries[result.attrs.queryid];
+      const from = (stanza.attrs.from || '').toLowerCase();
+      if ((archive) && ((from) ? from === archive.jid.toLowerCase() : archive.own)) {
+        this.historyMessage(result);
+      }
+      return;
+    }
+
+    // carbons are only valid when sent by our own account (XEP-0280 section 11)
+    const carbon = stanza.getChild('sent', NS.CARBONS) || stanza.getChild('received', NS.CARBONS);
+    if (carbon) {
+      const forwarded = carbon.getChild('forwarded', NS.FORWARD);
+      if ((forwarded) && (forwarded.getChild('message')) &&
+          (stanza.attrs.from === this.session.account)) {
+        this.carbon(carbon.getName(), forwarded.getChild('message'), delayStamp(forwarded));
+      }
+      return;
+    }
+
+    // bookmarks (XEP-0402) changed by our other clients, only our own account may tell us
+    const event = stanza.getChild('event', NS.PUBSUB_EVENT);
+    if (event) {
+      const own = this.session.account;
+      const items = event.getChild('items');
+      if ((items) && (items.attrs.node === NS.BOOKMARKS) &&
+          ((!stanza.attrs.from) || (stanza.attrs.from === own))) {
+        this.bookmarksChanged(own, items);
+      }
+      return;
+    }
+
+    // OMEMO (XEP-0384) encrypted private messages are handled like any other once decrypted,
+    // room occupants are only known by their nick, so there's nobody to look up keys for
+    const encrypted = stanza.getChild('encrypted', NS.LEGACY_OMEMO);
+    if ((encrypted) && (this.session.omemo) && (stanza.attrs.type === 'chat') && (!this.__decrypted.has(stanza)) &&
+        (!this.session.rooms[bareJid(stanza.attrs.from)]) && (!stanza.getChild('x', NS.MUC_USER))) {
+      this.__decrypt(stanza);
+      return;
+    }
+
+    const retract = stanza.getChild('retract', NS.RETRACT);
+    if ((retract) && (retract.attrs.id) &&
+        ((stanza.attrs.type === 'chat') || (stanza.attrs.type === 'groupchat'))) {
+      this.retraction(stanza, retract);
+      return;
+    }
+
+    const reactions = stanza.getChild('reactions', NS.REACTIONS);
+    if ((reactions) && (reactions.attrs.id) &&
+        ((stanza.attrs.type === 'chat') || (stanza.attrs.type === 'groupchat'))) {
+      this.reaction(stanza, reactions);
+      return;
+    }
+
+    // room invitations, sent directly (XEP-0249) or through the room (XEP-0045)
+    const conference = stanza.getChild('x', NS.CONFERENCE);
+    if ((conference) && (conference.attrs.jid)) {
+      this.invitation(stanza.attrs.from, conference.attrs.jid, {
+        reason: conference.attrs.reason,
+        password: conference.attrs.password,
+        mediated: false
+      });
+      return;
+    }
+    const mucUser = stanza.getChild('x', NS.MUC_USER);
+    const invite = (mucUser) ? mucUser.getChild('invite') : undefined;
+    const decline = (mucUser) ? mucUser.getChild('decline') : undefined;
+    if (invite) {
+      this.invitation(invite.attrs.from || stanza.attrs.from, bareJid(stanza.attrs.from), {
+        reason: invite.getChildText('reason'),
+        password: mucUser.getChildText('password'),
+        mediated: true
+      });
+      return;
+    } else if (decline) {
+      this.invitationDeclined(decline.attrs.from, bareJid(stanza.attrs.from), decline.getChildText('reason'));
+      return;
+    }
+
+    const body = stanza.getChild('body');
+    const replace = stanza.getChild('replace', NS.CORRECT);
+    if ((body) && (replace) && (replace.attrs.id) &&
+        ((stanza.attrs.type === 'chat') || (stanza.attrs.type === 'groupchat'))) {
+      this.correction(stanza, replace.attrs.id, body.getText());
+    } else if (body) {
+      const from = stanza.attrs.from.split('/');
+      if ((stanza.attrs.type === 'chat') && (from.length > 1) &&
+          ((mucUser) || (this.session.rooms[from[0]]))) {
+        this.privateMessage(from[0], from.slice(1).join('/'), body.getText(), stanza);
+      } else if (stanza.attrs.type === 'chat') {
+        this.chat(from[0], body.getText(), stanza);
+      } else if (stanza.attrs.type === 'groupchat') {
+        const delay = stanza.getChild('x', NS.LEGACY_DELAY);
+        this.groupChat(from[0], from.slice(1).join('/'), body.getText(),
+                       (delay) ? delay.attrs.stamp : null, stanza);
+      }
+    }
+
+    // simple-xmpp only emits chat states of private messages
+    if (stanza.attrs.type === 'groupchat') {
+      const chatstate = stanza.getChildByAttr('xmlns', NS.CHATSTATES);
+      if (chatstate) {
+        const from = stanza.attrs.from.split('/');
+        this.groupChatstate(from[0], from.slice(1).join('/'), chatstate.getName());
+      }
+    }
+
+    const received = stanza.getChild('received', NS.RECEIPTS);
+    if (received) {
+      this.receipt(stanza.attrs.from, received.attrs.id || stanza.attrs.id);
+    }
+
+    // acknowledge receipt requests, but never for groupchat messages (XEP-0184 section 5.3)
+    if ((stanza.getChild('request', NS.RECEIPTS)) && (stanza.attrs.id) &&
+        (stanza.attrs.type !== 'groupchat') && (this.session.options.sendReceipts !== false)) {
+      const ack = new this.session.Element('message', { to: stanza.attrs.from });
+      ack.c('received', { xmlns: NS.RECEIPTS, id: stanza.attrs.id });
+      this.session.sendStanza(ack);
+    }
+  }
+
+  /**
+   * Decrypt an OMEMO message and handle it again, with the plaintext as its
+   * body. Messages we can't decrypt are reported to the client as errors.
+   */
+  __decrypt(stanza) {
+    this.session.omemo.decrypt(stanza, (err, plaintext) => {
+      if (err) {
+        this.session.debug(err);
+        return this.session.sendToClient({
+          '@type': 'send',
+          actor: {
+            '@type': 'person',
+            '@id': bareJid(stanza.attrs.from)
+          },
+          target: this.session.actor,
+          object: {
+            '@type': 'error',
+            content: err
+          }
+        });
+      }
+      if (typeof plaintext !== 'string') {
+        return;
+      }
+      const decrypted = stanza.clone();
+      decrypted.remove('body');
+      decrypted.c('body').t(plaintext);
+      this.__decrypted.add(decrypted);
+      this.__message(decrypted);
+    });
+  }
+
+  /**
+   * Remember the `@id` a message was sent to the client with (eg. a room's
+   * stanza-id) by the ids its sender knows it by, the stanza id and its
+   * origin-id, for the most recent messages only. For our own messages
+   * echoed by a room it's the other way round as well, see `sentMessageId`.
+   */
+  __rememberMessage(stanza, id) {
+    const sender = this.__sender(stanza);
+    const originId = stanza.getChild('origin-id', NS.SID);
+    [stanza.attrs.id, (originId) ? originId.attrs.id : undefined].forEach((own) => {
+      if ((own) && (own !== id)) {
+        this.__knownMessages.delete(sender + ' ' + own);
+        this.__knownMessages.set(sender + ' ' + own, id);
+      }
+    });
+    const room = bareJid(stanza.attrs.from);
+    const joined = (stanza.attrs.type === 'groupchat') ? this.session.rooms[room] : undefined;
+    const own = (originId) ? originId.attrs.id : stanza.attrs.id;
+    if ((joined) && (sender === room + '/' + joined.nick) && (own) && (own !== id)) {
+      this.__sentMessages.delete(room + ' ' + id);
+      this.__sentMessages.set(room + ' ' + id, own);
+    }
+    [this.__knownMessages, this.__sentMessages].forEach((messages) => {
+      while (messages.size > KNOWN_MESSAGES) {
+        messages.delete(messages.keys().next().value);
+      }
+    });
+  }
+
+  /**
+   * The id we sent a message to a room with, by the `@id` it was sent to the
+   * client with when the room echoed it (the room's stanza-id), which is the
+   * one the other occupants know it by. Any other id is returned as it is.
+   */
+  sentMessageId(room, id) {
+    return this.__sentMessages.get(room + ' ' + id) || id;
+  }
+
+  /**
+   * Who sent a message, as far as its ids go: room occupants by their nick in
+   * the room, anyone else by their bare JID.
+   */
+  __sender(stanza) {
+    const from = stanza.attrs.from || '';
+    const occupant = (stanza.attrs.type === 'groupchat') || (this.session.rooms[bareJid(from)]) ||
+                     (stanza.getChild('x', NS.MUC_USER));
+    return (occupant) ? from : bareJid(from);
+  }
+
+  /**
+   * The attendance of a room we've joined, from its occupant list.
+   */
+  roomOccupants(room) {
+    const occupants = this.session.rooms[room].occupants;
+    const nicks = Object.keys(occupants);
+    this.session.sendToClient({
+      '@type': 'observe',
+      actor: {
+        '@id': room,
+        '@type': 'room'
+      },
+      target: this.session.actor,
+      object: {
+        '@type': 'attendance',
+        members: nicks,
+        occupants: nicks.map((nick) => { return occupantObject(nick, occupants[nick]); })
+      }
+    });
+  }
+
   roomAttendance(stanza) {
+    this.session.debug('got room attendance list');
     const query = stanza.getChild('query');
     if (query) {
       let members = [];
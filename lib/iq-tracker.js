@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  timeout: 30000 // ms to wait for a response before giving up on a request
+};
+
+/**
+ * Keeps track of the iq requests we've sent and are still waiting on a
+ * response for, so responses can be handed to whoever sent the request
+ * rather than being picked apart in the incoming stanza handlers.
+ *
+ * Every request calls back exactly once, `cb(err, stanza)`: with the
+ * `result`, with the error condition of an `error` response, with 'timeout'
+ * if nothing arrived in time, or with the reason passed to `failAll()`.
+ *
+ * Only the entity a request was sent to can answer it, or for requests
+ * without a `to`, our own account (RFC 6120 section 10.3.3), identified by
+ * `jid`.
+ */
+class IqTracker {
+  constructor(cfg, jid) {
+    this.cfg = Object.assign({}, DEFAULTS, (typeof cfg === 'object') ? cfg : {});
+    this.jid = jid;
+    this.pending = {};
+    this.__counter = 0;
+  }
+
+  /**
+   * Returns an id which is unique for this tracker, and unlikely to clash with
+   * ids generated elsewhere.
+   */
+  generateId() {
+    this.__counter++;
+    return crypto.randomBytes(4).toString('hex') + '-' + this.__counter;
+  }
+
+  /**
+   * Register a pending request for `stanza`, which is given an id if it doesn't
+   * have one. Returns the id.
+   */
+  track(stanza, cb) {
+    if (!stanza.attrs.id) {
+      stanza.attrs.id = this.generateId();
+    }
+    const id = stanza.attrs.id;
+    const timer = setTimeout(() => {
+      this.__resolve(id, 'timeout');
+    }, this.cfg.timeout);
+    if (typeof timer.unref === 'function') {
+      // a request nobody answers shouldn't keep the process alive
+      timer.unref();
+    }
+    this.pending[id] = { cb: cb, timer: timer, to: stanza.attrs.to };
+    return id;
+  }
+
+  /**
+   * Process an inbound stanza. Returns `true` if it was the response to a
+   * pending request and has been handed to its callback.
+   */
+  handle(stanza) {
+    if ((!stanza.is('iq')) || ((stanza.attrs.type !== 'result') && (stanza.attrs.type !== 'error'))) {
+      return false;
+    }
+    const request = this.pending[stanza.attrs.id];
+    if ((!request) || (!this.__answeredBy(request, stanza.attrs.from))) {
+      return false;
+    }
+    if (stanza.attrs.type === 'error') {
+      this.__resolve(stanza.attrs.id, errorCondition(stanza), stanza);
+    } else {
+      this.__resolve(stanza.attrs.id, undefined, stanza);
+    }
+    return true;
+  }
+
+  /**
+   * Fail all pending requests with `reason`, eg. because the stream they were
+   * sent on has gone away.
+   */
+  failAll(reason) {
+    Object.keys(this.pending).forEach((id) => {
+      this.__resolve(id, reason);
+    });
+  }
+
+  __answeredBy(request, from) {
+    const own = (typeof this.jid === 'string') ? this.jid.toLowerCase() : '';
+    const bare = own.split('/')[0];
+    const to = (request.to || '').toLowerCase();
+    from = (from || '').toLowerCase();
+    if ((!to) || (to === bare)) {
+      // answered by the server on behalf of our account
+      return (!from) || (from === bare) || (from === own);
+    }
+    return from === to;
+  }
+
+  __resolve(id, err, stanza) {
+    const request = this.pending[id];
+    if (!request) {
+      return;
+    }
+    delete this.pending[id];
+    clearTimeout(request.timer);
+    request.cb(err, stanza);
+  }
+}
+
+/**
+ * The defined condition of an error stanza, eg. 'item-not-found'.
+ */
+function errorCondition(stanza) {
+  const error = stanza.getChild('error');
+  const conditions = (error) ? error.children.filter((child) => {
+    return (typeof child === 'object') && (child.name !== 'text');
+  }) : [];
+  return (conditions.length) ? conditions[0].name : 'undefined-condition';
+}
+
+module.exports = IqTracker;
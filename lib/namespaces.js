@@ -0,0 +1,40 @@
+/**
+ * XML namespaces of the XMPP extensions handled by this platform.
+ */
+module.exports = {
+  DISCO_INFO: 'http://jabber.org/protocol/disco#info', // XEP-0030
+  DISCO_ITEMS: 'http://jabber.org/protocol/disco#items', // XEP-0030
+  MUC: 'http://jabber.org/protocol/muc', // XEP-0045
+  MUC_USER: 'http://jabber.org/protocol/muc#user', // XEP-0045
+  MUC_ADMIN: 'http://jabber.org/protocol/muc#admin', // XEP-0045
+  MUC_OWNER: 'http://jabber.org/protocol/muc#owner', // XEP-0045
+  LEGACY_BOOKMARKS: 'storage:bookmarks', // XEP-0048
+  OOB: 'jabber:x:oob', // XEP-0066
+  CHATSTATES: 'http://jabber.org/protocol/chatstates', // XEP-0085
+  RSM: 'http://jabber.org/protocol/rsm', // XEP-0059
+  PUBSUB: 'http://jabber.org/protocol/pubsub', // XEP-0060
+  PUBSUB_EVENT: 'http://jabber.org/protocol/pubsub#event', // XEP-0060
+  URL_DATA: 'http://jabber.org/protocol/url-data', // XEP-0103
+  RECEIPTS: 'urn:xmpp:receipts', // XEP-0184
+  DELAY: 'urn:xmpp:delay', // XEP-0203
+  LEGACY_DELAY: 'jabber:x:delay', // XEP-0091
+  CONFERENCE: 'jabber:x:conference', // XEP-0249
+  CARBONS: 'urn:xmpp:carbons:2', // XEP-0280
+  FORWARD: 'urn:xmpp:forward:0', // XEP-0297
+  CORRECT: 'urn:xmpp:message-correct:0', // XEP-0308
+  MAM: 'urn:xmpp:mam:2', // XEP-0313
+  HINTS: 'urn:xmpp:hints', // XEP-0334
+  SID: 'urn:xmpp:sid:0', // XEP-0359
+  EME: 'urn:xmpp:eme:0', // XEP-0380
+  OMEMO: 'urn:xmpp:omemo:2', // XEP-0384
+  LEGACY_OMEMO: 'eu.siacs.conversations.axolotl', // XEP-0384 (0.3)
+  UPLOAD: 'urn:xmpp:http:upload:0', // XEP-0363
+  BOOKMARKS: 'urn:xmpp:bookmarks:1', // XEP-0402
+  FALLBACK: 'urn:xmpp:fallback:0', // XEP-0428
+  RETRACT: 'urn:xmpp:message-retract:1', // XEP-0424
+  MODERATE: 'urn:xmpp:message-moderate:1', // XEP-0425
+  REACTIONS: 'urn:xmpp:reactions:0', // XEP-0444
+  FILE_METADATA: 'urn:xmpp:file:metadata:0', // XEP-0446
+  FILE_SHARING: 'urn:xmpp:sfs:0', // XEP-0447
+  REPLY: 'urn:xmpp:reply:0' // XEP-0461
+};
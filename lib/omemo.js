@@ -0,0 +1,688 @@
+const crypto = require('crypto');
+const DataForms = require('./data-forms');
+const NS = require('./namespaces');
+
+const DEVICE_LIST = NS.LEGACY_OMEMO + '.devicelist';
+const BUNDLES = NS.LEGACY_OMEMO + '.bundles:';
+const PRE_KEYS = 100; // published one-time prekeys, refilled as contacts use them up
+const TRUST = ['undecided', 'trusted', 'untrusted'];
+const FALLBACK_BODY = 'I sent you an OMEMO encrypted message but your client doesn\'t seem to support that.';
+
+/**
+ * Our device list and bundles have to be readable by anyone who'd like to
+ * write to us (XEP-0384 section 4.3).
+ */
+const PUBLISH_OPTIONS = {
+  'pubsub#access_model': 'open'
+};
+
+let libsignal;
+
+/**
+ * libsignal is an optional dependency (and GPL-3.0 licensed), it's only
+ * loaded once OMEMO is used. It installs process wide `uncaughtException`
+ * and `unhandledRejection` handlers which end the process, those are removed
+ * again so they can't take the rest of Sockethub down with them.
+ */
+function loadSignal() {
+  if (libsignal) {
+    return;
+  }
+  const events = ['uncaughtException', 'unhandledRejection'];
+  const before = events.map((event) => { return process.listeners(event); });
+  try {
+    libsignal = require('libsignal');
+  } catch (e) {
+    return 'OMEMO needs the optional libsignal package: ' + e.message;
+  } finally {
+    events.forEach((event, i) => {
+      process.listeners(event).filter((listener) => {
+        return before[i].indexOf(listener) < 0;
+      }).forEach((listener) => {
+        process.removeListener(event, listener);
+      });
+    });
+  }
+}
+
+/**
+ * Where keys are kept if the platform isn't given a store, each connection
+ * has its own, so they're lost with it.
+ */
+function memoryStore() {
+  const memory = {};
+  return {
+    load: (jid, cb) => { cb(undefined, memory[jid]); },
+    save: (jid, state, cb) => { memory[jid] = state; cb(); }
+  };
+}
+
+function bareJid(jid) {
+  return (jid || '').split('/')[0];
+}
+
+/**
+ * The libsignal address of a device, JIDs are hex encoded as libsignal uses
+ * the dots they contain to separate the device id.
+ */
+function address(jid, deviceId) {
+  return new libsignal.ProtocolAddress(Buffer.from(jid).toString('hex'), deviceId);
+}
+
+function fingerprint(key) {
+  // without the key type prefix, as other clients show it
+  return Buffer.from(key, 'base64').slice(1).toString('hex');
+}
+
+function keyPair(keys) {
+  return {
+    pubKey: Buffer.from(keys.pubKey, 'base64'),
+    privKey: Buffer.from(keys.privKey, 'base64')
+  };
+}
+
+function encodeKeyPair(keys) {
+  return {
+    pubKey: keys.pubKey.toString('base64'),
+    privKey: keys.privKey.toString('base64')
+  };
+}
+
+/**
+ * Calls back with the outcome of a libsignal promise, outside of the promise
+ * chain so exceptions thrown by `cb` aren't taken for a failure.
+ */
+function settle(promise, cb) {
+  promise.then((result) => {
+    process.nextTick(cb, undefined, result);
+  }, (err) => {
+    // some libsignal errors only have a name
+    process.nextTick(cb, (err instanceof Error) ? (err.message || err.name) : String(err));
+  });
+}
+
+/**
+ * Call `fn(item, next)` for every item of `list` in turn, then `cb()`.
+ */
+function series(list, fn, cb) {
+  let i = 0;
+  const next = () => {
+    if (i >= list.length) {
+      return cb();
+    }
+    fn(list[i++], next);
+  };
+  next();
+}
+
+/**
+ * End-to-end encryption of private messages with OMEMO (XEP-0384), in the
+ * version deployed by most clients (0.3, `eu.siacs.conversations.axolotl`).
+ *
+ * Our identity key, prekeys, the sessions with other devices and what we
+ * know of their identities are kept as a JSON object, loaded from and saved
+ * to a store with `load(jid, cb)` and `save(jid, state, cb)` functions, so
+ * they outlive the platform instance. Without one they're only kept in
+ * memory, and every new connection is a new device.
+ *
+ * Devices we haven't seen before are trusted until the client decides
+ * otherwise (blind trust before verification), every new identity is sent to
+ * the client as an `update` activity with its fingerprint, and so is every
+ * trust decision. Untrusted devices can't read our messages, and theirs
+ * aren't decrypted.
+ */
+class Omemo {
+  constructor(connection, store) {
+    this.connection = connection;
+    this.jid = bareJid(connection.fullJid);
+    this.store = ((store) && (typeof store.load === 'function') && (typeof store.save === 'function')) ?
+                 store : memoryStore();
+    this.state = undefined;
+    this.signal = this.__signalStore();
+    this.__loading = undefined;
+    this.__preKeysUsed = false;
+  }
+
+  /**
+   * Load (or create) our keys, publish our bundle and make sure our device is
+   * in our device list.
+   */
+  start(cb) {
+    this.__load((err) => {
+      if (err) {
+        return cb(err);
+      }
+      this.__publishBundle((err) => {
+        if (err) {
+          return cb(err);
+        }
+        this.__fetchDevices(this.jid, (err, devices) => {
+          if (err) {
+            return cb(err);
+          }
+          if (devices.indexOf(this.state.deviceId) >= 0) {
+            return cb();
+          }
+          this.__publishDevices(devices.concat([this.state.deviceId]), cb);
+        });
+      });
+    });
+  }
+
+  /**
+   * Encrypt the body of a private message for all devices of its recipient
+   * and our own other devices. The body is replaced by one telling clients
+   * without OMEMO support what they missed. Fails if none of the recipients
+   * devices could be encrypted for, the message mustn't be sent then.
+   */
+  encrypt(stanza, cb) {
+    const body = stanza.getChild('body');
+    this.__encrypt(bareJid(stanza.attrs.to), (body) ? body.getText() : '', (err, encrypted) => {
+      if (err) {
+        return cb(err);
+      }
+      if (body) {
+        stanza.remove(body);
+      }
+      stanza.c('body').t(FALLBACK_BODY);
+      stanza.cnode(encrypted);
+      stanza.c('encryption', { xmlns: NS.EME, namespace: NS.LEGACY_OMEMO, name: 'OMEMO' });
+      stanza.c('store', { xmlns: NS.HINTS });
+      cb();
+    });
+  }
+
+  /**
+   * Decrypt an OMEMO message sent to one of our devices, calls back with its
+   * plaintext. Messages without a payload are only there to set up or
+   * repair a session, and call back with neither.
+   */
+  decrypt(stanza, cb) {
+    this.__load((err) => {
+      if (err) {
+        return cb(err);
+      }
+      const jid = bareJid(stanza.attrs.from);
+      const encrypted = stanza.getChild('encrypted', NS.LEGACY_OMEMO);
+      const header = encrypted.getChild('header');
+      const sid = (header) ? parseInt(header.attrs.sid, 10) : NaN;
+      const key = (header) ? header.getChildren('key').filter((key) => {
+        return parseInt(key.attrs.rid, 10) === this.state.deviceId;
+      })[0] : undefined;
+      if ((isNaN(sid)) || (!key) || (!header.getChildText('iv'))) {
+        return cb('OMEMO message from ' + jid + ' is not encrypted for this device');
+      }
+      const sessionCipher = new libsignal.SessionCipher(this.signal, address(jid, sid));
+      const message = Buffer.from(key.getText(), 'base64');
+      const prekey = (key.attrs.prekey === 'true') || (key.attrs.prekey === '1');
+      settle((prekey) ? sessionCipher.decryptPreKeyWhisperMessage(message) :
+                        sessionCipher.decryptWhisperMessage(message), (err, keyMaterial) => {
+        if (err) {
+          return cb('decrypting OMEMO message from ' + jid + ' failed: ' + err);
+        }
+        this.__replacePreKeys();
+        this.__save();
+        const payload = encrypted.getChildText('payload');
+        if (!payload) {
+          return cb();
+        }
+        let data = Buffer.from(payload, 'base64');
+        let tag = keyMaterial.slice(16);
+        if (tag.length < 16) {
+          // older clients append the tag to the payload instead
+          tag = data.slice(-16);
+          data = data.slice(0, -16);
+        }
+        let plaintext;
+        try {
+          const decipher = crypto.createDecipheriv('aes-128-gcm', keyMaterial.slice(0, 16),
+                                                   Buffer.from(header.getChildText('iv'), 'base64'));
+          decipher.setAuthTag(tag);
+          plaintext = Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+        } catch (e) {
+          return cb('decrypting OMEMO message from ' + jid + ' failed: ' + e.message);
+        }
+        cb(undefined, plaintext);
+      });
+    });
+  }
+
+  /**
+   * Calls back with the devices of `jid` as device objects, with their
+   * fingerprint and how far they're trusted. Sessions are set up with any
+   * we didn't know yet.
+   */
+  devices(jid, cb) {
+    this.__load((err) => {
+      if (err) {
+        return cb(err);
+      }
+      this.__fetchDevices(jid, (err, devices) => {
+        if (err) {
+          return cb(err);
+        }
+        const listed = [];
+        series(devices.filter((deviceId) => {
+          return (jid !== this.jid) || (deviceId !== this.state.deviceId);
+        }), (deviceId, next) => {
+          this.__session(jid, deviceId, (err) => {
+            if (err) {
+              this.connection.debug(err);
+            } else {
+              listed.push(this.__device(jid, deviceId));
+            }
+            next();
+          });
+        }, () => {
+          cb(undefined, listed);
+        });
+      });
+    });
+  }
+
+  /**
+   * Record the clients trust decision for a device of `jid`, `trust` is one
+   * of 'trusted', 'untrusted' or 'undecided'.
+   */
+  trust(jid, deviceId, trust, cb) {
+    this.__load((err) => {
+      if (err) {
+        return cb(err);
+      }
+      const known = this.state.identities[jid] || {};
+      if (!known[deviceId]) {
+        return cb('unknown OMEMO device ' + deviceId + ' of ' + jid);
+      }
+      if (TRUST.indexOf(trust) < 0) {
+        return cb('unknown trust (should be ' + TRUST.join(', ') + '): ' + trust);
+      }
+      known[deviceId].trust = trust;
+      this.__save();
+      this.__trustChanged(jid, deviceId);
+      cb();
+    });
+  }
+
+  /**
+   * Encrypt `plaintext` for all devices of `jid` and our own other devices,
+   * calls back with the `<encrypted/>` element.
+   */
+  __encrypt(jid, plaintext, cb) {
+    this.__load((err) => {
+      if (err) {
+        return cb(err);
+      }
+      this.__recipients(jid, (err, recipients) => {
+        if (err) {
+          return cb(err);
+        }
+        const key = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-128-gcm', key, iv);
+        const payload = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        // the authentication tag travels with the key (XEP-0384 0.3 section 4.6)
+        const keyMaterial = Buffer.concat([key, cipher.getAuthTag()]);
+        const encrypted = new this.connection.Element('encrypted', { xmlns: NS.LEGACY_OMEMO });
+        const header = encrypted.c('header', { sid: String(this.state.deviceId) });
+        let readable = false;
+        series(recipients, (recipient, next) => {
+          const sessionCipher = new libsignal.SessionCipher(this.signal, address(recipient.jid, recipient.deviceId));
+          settle(sessionCipher.encrypt(keyMaterial), (err, result) => {
+            if (err) {
+              this.connection.debug('OMEMO encryption for device ' + recipient.deviceId + ' of ' +
+                                    recipient.jid + ' failed: ' + err);
+              return next();
+            }
+            const attrs = { rid: String(recipient.deviceId) };
+            if (result.type === 3) {
+              attrs.prekey = 'true';
+            }
+            header.c('key', attrs).t(result.body.toString('base64'));
+            readable = readable || (recipient.jid === jid);
+            next();
+          });
+        }, () => {
+          if (!readable) {
+            return cb('no trusted OMEMO devices of ' + jid + ' to encrypt for');
+          }
+          header.c('iv').t(iv.toString('base64'));
+          encrypted.c('payload').t(payload.toString('base64'));
+          this.__save();
+          cb(undefined, encrypted);
+        });
+      });
+    });
+  }
+
+  /**
+   * Calls back once our keys are loaded from the store, or created and saved
+   * if there weren't any yet.
+   */
+  __load(cb) {
+    if (this.state) {
+      return cb();
+    }
+    if (this.__loading) {
+      return this.__loading.push(cb);
+    }
+    const missing = loadSignal();
+    if (missing) {
+      return cb(missing);
+    }
+    this.__loading = [cb];
+    const done = (err) => {
+      const pending = this.__loading;
+      this.__loading = undefined;
+      pending.forEach((fn) => { fn(err); });
+    };
+    this.store.load(this.jid, (err, state) => {
+      if (err) {
+        return done('loading OMEMO keys failed: ' + err);
+      }
+      if (state) {
+        this.state = state;
+        return done();
+      }
+      this.connection.debug('creating OMEMO keys for ' + this.jid);
+      const identityKey = libsignal.keyhelper.generateIdentityKeyPair();
+      const signedPreKey = libsignal.keyhelper.generateSignedPreKey(identityKey, 1);
+      this.state = {
+        deviceId: (crypto.randomBytes(4).readUInt32BE(0) & 0x7fffffff) || 1,
+        registrationId: libsignal.keyhelper.generateRegistrationId(),
+        identityKey: encodeKeyPair(identityKey),
+        signedPreKey: Object.assign({
+          keyId: signedPreKey.keyId,
+          signature: signedPreKey.signature.toString('base64')
+        }, encodeKeyPair(signedPreKey.keyPair)),
+        preKeys: {},
+        nextPreKeyId: 1,
+        sessions: {},
+        identities: {}
+      };
+      this.__fillPreKeys();
+      this.__save(done);
+    });
+  }
+
+  __save(cb) {
+    // the store gets a copy, whatever it does with it doesn't change our keys
+    this.store.save(this.jid, JSON.parse(JSON.stringify(this.state)), (err) => {
+      if (err) {
+        this.connection.debug('saving OMEMO keys failed: ' + err);
+      }
+      if (typeof cb === 'function') {
+        cb();
+      }
+    });
+  }
+
+  __fillPreKeys() {
+    while (Object.keys(this.state.preKeys).length < PRE_KEYS) {
+      const preKey = libsignal.keyhelper.generatePreKey(this.state.nextPreKeyId++);
+      this.state.preKeys[preKey.keyId] = encodeKeyPair(preKey.keyPair);
+    }
+  }
+
+  /**
+   * Prekeys are used once, those used by a contact setting up a session with
+   * us are replaced, and our bundle published again.
+   */
+  __replacePreKeys() {
+    if (!this.__preKeysUsed) {
+      return;
+    }
+    this.__preKeysUsed = false;
+    this.__fillPreKeys();
+    this.__publishBundle((err) => {
+      if (err) {
+        this.connection.debug(err);
+      }
+    });
+  }
+
+  /**
+   * The devices of `jid`, and our own other devices, we have a session with
+   * and don't distrust.
+   */
+  __recipients(jid, cb) {
+    const recipients = [];
+    series([jid, this.jid], (owner, next) => {
+      this.__fetchDevices(owner, (err, devices) => {
+        if (err) {
+          // we can do without our own other devices, but not without theirs
+          return (owner === jid) ? cb(err) : next();
+        }
+        series(devices.filter((deviceId) => {
+          return (owner !== this.jid) || (deviceId !== this.state.deviceId);
+        }), (deviceId, next) => {
+          this.__session(owner, deviceId, (err, trusted) => {
+            if (err) {
+              this.connection.debug(err);
+            } else if (trusted) {
+              recipients.push({ jid: owner, deviceId: deviceId });
+            }
+            next();
+          });
+        }, next);
+      });
+    }, () => {
+      cb(undefined, recipients);
+    });
+  }
+
+  /**
+   * Makes sure we have a session with a device, building one from its bundle
+   * if we don't. Calls back with whether the device is trusted.
+   */
+  __session(jid, deviceId, cb) {
+    const addr = address(jid, deviceId);
+    const known = (this.state.identities[jid] || {})[deviceId];
+    if ((known) && (this.state.sessions[addr.toString()])) {
+      return cb(undefined, known.trust !== 'untrusted');
+    }
+    this.__fetchBundle(jid, deviceId, (err, bundle) => {
+      if (err) {
+        return cb(err);
+      }
+      if (this.__identity(jid, deviceId, bundle.identityKey).trust === 'untrusted') {
+        return cb(undefined, false);
+      }
+      const builder = new libsignal.SessionBuilder(this.signal, addr);
+      settle(builder.initOutgoing(bundle), (err) => {
+        if (err) {
+          return cb('OMEMO session with device ' + deviceId + ' of ' + jid + ' failed: ' + err);
+        }
+        cb(undefined, true);
+      });
+    });
+  }
+
+  /**
+   * What we know of the identity of a device, a device we haven't seen
+   * before or with an identity key other than the one we know is undecided,
+   * and the client is told about it.
+   */
+  __identity(jid, deviceId, identityKey) {
+    const key = identityKey.toString('base64');
+    const known = this.state.identities[jid] = this.state.identities[jid] || {};
+    if ((!known[deviceId]) || (known[deviceId].key !== key)) {
+      known[deviceId] = { key: key, trust: 'undecided' };
+      this.__save();
+      this.__trustChanged(jid, deviceId);
+    }
+    return known[deviceId];
+  }
+
+  __device(jid, deviceId) {
+    const known = this.state.identities[jid][deviceId];
+    return {
+      '@type': 'device',
+      '@id': String(deviceId),
+      fingerprint: fingerprint(known.key),
+      trust: known.trust
+    };
+  }
+
+  __trustChanged(jid, deviceId) {
+    this.connection.debug('OMEMO device ' + deviceId + ' of ' + jid + ' is ' +
+                          this.state.identities[jid][deviceId].trust);
+    this.connection.sendToClient({
+      '@type': 'update',
+      actor: {
+        '@id': jid,
+        '@type': 'person'
+      },
+      target: this.connection.actor,
+      object: this.__device(jid, deviceId)
+    });
+  }
+
+  /**
+   * The storage libsignal works with, on top of our state.
+   */
+  __signalStore() {
+    return {
+      getOurIdentity: () => {
+        return keyPair(this.state.identityKey);
+      },
+      getOurRegistrationId: () => {
+        return this.state.registrationId;
+      },
+      // called with the address of a device, or just the encoded JID for a
+      // device whose identity key we already know
+      isTrustedIdentity: (id, identityKey) => {
+        const parts = String(id).split('.');
+        const jid = Buffer.from(parts[0], 'hex').toString();
+        if (parts.length > 1) {
+          return this.__identity(jid, parseInt(parts[1], 10), identityKey).trust !== 'untrusted';
+        }
+        const known = this.state.identities[jid] || {};
+        return Object.keys(known).some((deviceId) => {
+          return (known[deviceId].key === identityKey.toString('base64')) && (known[deviceId].trust !== 'untrusted');
+        });
+      },
+      loadSession: (addr) => {
+        const session = this.state.sessions[addr];
+        return (session) ? libsignal.SessionRecord.deserialize(session) : undefined;
+      },
+      storeSession: (addr, record) => {
+        this.state.sessions[addr] = record.serialize();
+      },
+      loadPreKey: (keyId) => {
+        const preKey = this.state.preKeys[keyId];
+        return (preKey) ? keyPair(preKey) : undefined;
+      },
+      removePreKey: (keyId) => {
+        delete this.state.preKeys[keyId];
+        this.__preKeysUsed = true;
+      },
+      loadSignedPreKey: (keyId) => {
+        return (this.state.signedPreKey.keyId === keyId) ? keyPair(this.state.signedPreKey) : undefined;
+      }
+    };
+  }
+
+  __publishBundle(cb) {
+    const stanza = new this.connection.Element('iq', { type: 'set' });
+    const pubsub = stanza.c('pubsub', { xmlns: NS.PUBSUB });
+    const bundle = pubsub.c('publish', { node: BUNDLES + this.state.deviceId }).c('item', { id: 'current' })
+                         .c('bundle', { xmlns: NS.LEGACY_OMEMO });
+    bundle.c('signedPreKeyPublic', { signedPreKeyId: String(this.state.signedPreKey.keyId) })
+          .t(this.state.signedPreKey.pubKey);
+    bundle.c('signedPreKeySignature').t(this.state.signedPreKey.signature);
+    bundle.c('identityKey').t(this.state.identityKey.pubKey);
+    const preKeys = bundle.c('prekeys');
+    Object.keys(this.state.preKeys).forEach((keyId) => {
+      preKeys.c('preKeyPublic', { preKeyId: keyId }).t(this.state.preKeys[keyId].pubKey);
+    });
+    pubsub.c('publish-options').cnode(DataForms.build(this.connection.Element, 'submit',
+                                                      NS.PUBSUB + '#publish-options', PUBLISH_OPTIONS));
+    this.connection.sendIq(stanza, (err) => {
+      cb((err) ? 'publishing OMEMO bundle failed: ' + err : undefined);
+    });
+  }
+
+  __publishDevices(devices, cb) {
+    const stanza = new this.connection.Element('iq', { type: 'set' });
+    const pubsub = stanza.c('pubsub', { xmlns: NS.PUBSUB });
+    const list = pubsub.c('publish', { node: DEVICE_LIST }).c('item', { id: 'current' })
+                       .c('list', { xmlns: NS.LEGACY_OMEMO });
+    devices.forEach((deviceId) => {
+      list.c('device', { id: String(deviceId) });
+    });
+    pubsub.c('publish-options').cnode(DataForms.build(this.connection.Element, 'submit',
+                                                      NS.PUBSUB + '#publish-options', PUBLISH_OPTIONS));
+    this.connection.sendIq(stanza, (err) => {
+      cb((err) ? 'publishing OMEMO device list failed: ' + err : undefined);
+    });
+  }
+
+  /**
+   * The device ids `jid` published, none if they never did.
+   */
+  __fetchDevices(jid, cb) {
+    this.__item(jid, DEVICE_LIST, (err, item) => {
+      if (err === 'item-not-found') {
+        return cb(undefined, []);
+      } else if (err) {
+        return cb('fetching OMEMO devices of ' + jid + ' failed: ' + err);
+      }
+      const list = (item) ? item.getChild('list', NS.LEGACY_OMEMO) : undefined;
+      cb(undefined, ((list) ? list.getChildren('device') : []).map((device) => {
+        return parseInt(device.attrs.id, 10);
+      }).filter((deviceId) => {
+        return deviceId > 0;
+      }));
+    });
+  }
+
+  /**
+   * The bundle of a device, with one of its prekeys picked at random, in the
+   * form libsignal builds sessions from.
+   */
+  __fetchBundle(jid, deviceId, cb) {
+    this.__item(jid, BUNDLES + deviceId, (err, item) => {
+      const failed = 'fetching OMEMO bundle of device ' + deviceId + ' of ' + jid + ' failed: ';
+      if (err) {
+        return cb(failed + err);
+      }
+      const bundle = (item) ? item.getChild('bundle', NS.LEGACY_OMEMO) : undefined;
+      const signedPreKey = (bundle) ? bundle.getChild('signedPreKeyPublic') : undefined;
+      const preKeys = ((bundle) && (bundle.getChild('prekeys'))) ?
+                      bundle.getChild('prekeys').getChildren('preKeyPublic') : [];
+      if ((!signedPreKey) || (!bundle.getChildText('signedPreKeySignature')) ||
+          (!bundle.getChildText('identityKey')) || (!preKeys.length)) {
+        return cb(failed + 'incomplete bundle');
+      }
+      const preKey = preKeys[crypto.randomBytes(4).readUInt32BE(0) % preKeys.length];
+      cb(undefined, {
+        identityKey: Buffer.from(bundle.getChildText('identityKey'), 'base64'),
+        registrationId: 0, // not part of OMEMO bundles, and only needed by Signal itself
+        signedPreKey: {
+          keyId: parseInt(signedPreKey.attrs.signedPreKeyId, 10),
+          publicKey: Buffer.from(signedPreKey.getText(), 'base64'),
+          signature: Buffer.from(bundle.getChildText('signedPreKeySignature'), 'base64')
+        },
+        preKey: {
+          keyId: parseInt(preKey.attrs.preKeyId, 10),
+          publicKey: Buffer.from(preKey.getText(), 'base64')
+        }
+      });
+    });
+  }
+
+  __item(jid, node, cb) {
+    const stanza = new this.connection.Element('iq', { type: 'get', to: jid });
+    stanza.c('pubsub', { xmlns: NS.PUBSUB }).c('items', { node: node, max_items: '1' });
+    this.connection.sendIq(stanza, (err, result) => {
+      if (err) {
+        return cb(err);
+      }
+      const pubsub = result.getChild('pubsub', NS.PUBSUB);
+      const items = (pubsub) ? pubsub.getChild('items') : undefined;
+      cb(undefined, (items) ? items.getChild('item') : undefined);
+    });
+  }
+}
+
+module.exports = Omemo;
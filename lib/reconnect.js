@@ -0,0 +1,84 @@
+const DEFAULTS = {
+  initialDelay: 1000, // ms before the first attempt
+  maxDelay: 60000,    // upper bound for a single delay
+  factor: 2,          // exponential growth per attempt
+  jitter: 0.5,        // portion of each delay which is randomized (0 - 1)
+  maxAttempts: 10,    // give up after this many failed attempts
+  maxQueue: 100       // max. number of jobs kept while offline
+};
+
+/**
+ * Keeps track of reconnect attempts (exponential backoff with jitter) and
+ * buffers jobs which come in while the connection is down, so they can be
+ * replayed once we're back online.
+ */
+class Reconnect {
+  constructor(cfg) {
+    this.cfg = Object.assign({}, DEFAULTS, (typeof cfg === 'object') ? cfg : {});
+    this.attempts = 0;
+    this.active = false;
+    this.queue = [];
+    this.__timer = null;
+  }
+
+  /**
+   * Returns the delay (in ms) for the next attempt, without scheduling anything.
+   */
+  nextDelay() {
+    const base = Math.min(this.cfg.maxDelay,
+                          this.cfg.initialDelay * Math.pow(this.cfg.factor, this.attempts));
+    const jitter = base * this.cfg.jitter;
+    return Math.round(base - jitter + (Math.random() * jitter));
+  }
+
+  /**
+   * Schedule the next attempt. Returns the delay used, or `false` if we've run
+   * out of attempts.
+   */
+  schedule(fn) {
+    if (this.attempts >= this.cfg.maxAttempts) {
+      return false;
+    }
+    const delay = this.nextDelay();
+    this.active = true;
+    this.attempts++;
+    clearTimeout(this.__timer);
+    this.__timer = setTimeout(() => {
+      this.__timer = null;
+      fn(this.attempts);
+    }, delay);
+    return delay;
+  }
+
+  /**
+   * Add a job to the queue, returns `false` if the queue is full.
+   */
+  enqueue(entry) {
+    if (this.queue.length >= this.cfg.maxQueue) {
+      return false;
+    }
+    this.queue.push(entry);
+    return true;
+  }
+
+  /**
+   * Empties the queue, returning all buffered jobs in the order they arrived.
+   */
+  drain() {
+    const queue = this.queue;
+    this.queue = [];
+    return queue;
+  }
+
+  /**
+   * Stop any pending attempt and reset the counters.
+   */
+  reset() {
+    clearTimeout(this.__timer);
+    this.__timer = null;
+    this.attempts = 0;
+    this.active = false;
+  }
+}
+
+module.exports = Reconnect;
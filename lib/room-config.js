@@ -0,0 +1,146 @@
+const DataForms = require('./data-forms');
+const NS = require('./namespaces');
+
+const FORM_TYPE = 'http://jabber.org/protocol/muc#roomconfig';
+
+/**
+ * Room settings by the names used in activities, and the muc#roomconfig
+ * fields (XEP-0045) they map to.
+ */
+const SETTINGS = {
+  name: 'muc#roomconfig_roomname',
+  description: 'muc#roomconfig_roomdesc',
+  persistent: 'muc#roomconfig_persistentroom',
+  membersOnly: 'muc#roomconfig_membersonly',
+  moderated: 'muc#roomconfig_moderatedroom',
+  password: 'muc#roomconfig_roomsecret',
+  maxUsers: 'muc#roomconfig_maxusers'
+};
+const BOOLEAN_SETTINGS = ['persistent', 'membersOnly', 'moderated'];
+
+/**
+ * The configuration changes requested by an activity object, as form field
+ * values. Any other field can be set through the `fields` object, by its
+ * name. Returns `undefined` if nothing is to be changed.
+ */
+function changes(object) {
+  if ((!object) || (typeof object !== 'object')) {
+    return undefined;
+  }
+  const fields = {};
+  Object.keys(SETTINGS).forEach((name) => {
+    if (typeof object[name] !== 'undefined') {
+      fields[SETTINGS[name]] = object[name];
+    }
+  });
+  if (typeof object.password !== 'undefined') {
+    fields['muc#roomconfig_passwordprotectedroom'] = Boolean(object.password);
+  }
+  if ((object.fields) && (typeof object.fields === 'object')) {
+    Object.assign(fields, object.fields);
+  }
+  return (Object.keys(fields).length) ? fields : undefined;
+}
+
+/**
+ * A rooms configuration form as an activity object: the known settings by
+ * name, and the description of every field of the form.
+ */
+function toObject(x) {
+  const values = DataForms.parse(x);
+  const object = { '@type': 'configuration' };
+  Object.keys(SETTINGS).forEach((name) => {
+    const value = values[SETTINGS[name]];
+    if (typeof value === 'undefined') {
+      return;
+    }
+    if (BOOLEAN_SETTINGS.indexOf(name) >= 0) {
+      object[name] = (value === '1') || (value === 'true');
+    } else if (name === 'maxUsers') {
+      object[name] = parseInt(value, 10) || value;
+    } else {
+      object[name] = value;
+    }
+  });
+  object.fields = DataForms.describe(x);
+  return object;
+}
+
+/**
+ * Fetch the configuration form of a room we own.
+ */
+function fetch(connection, room, cb) {
+  const stanza = new connection.Element('iq', { type: 'get', to: room });
+  stanza.c('query', { xmlns: NS.MUC_OWNER });
+  connection.sendIq(stanza, (err, result) => {
+    if (err) {
+      return cb('fetching configuration of ' + room + ' failed: ' + err);
+    }
+    const query = result.getChild('query', NS.MUC_OWNER);
+    const x = (query) ? query.getChild('x', DataForms.NS) : undefined;
+    if (!x) {
+      return cb('no configuration form received from ' + room);
+    }
+    cb(undefined, x);
+  });
+}
+
+/**
+ * Apply the `fields` on top of the current configuration of a room. Without
+ * any fields the servers defaults are accepted, which is how a newly created
+ * room is unlocked (an "instant room").
+ */
+function configure(connection, room, fields, cb) {
+  if (!fields) {
+    return submit(connection, room, DataForms.build(connection.Element, 'submit', undefined, {}), cb);
+  }
+  fetch(connection, room, (err, x) => {
+    if (err) {
+      return cb(err);
+    }
+    const values = DataForms.parse(x);
+    delete values.FORM_TYPE;
+    x.getChildren('field').forEach((field) => {
+      if (field.attrs.type === 'fixed') {
+        delete values[field.attrs.var];
+      }
+    });
+    submit(connection, room,
+           DataForms.build(connection.Element, 'submit', FORM_TYPE, Object.assign(values, fields)), cb);
+  });
+}
+
+/**
+ * Destroy a room we own, optionally pointing its occupants to an alternate
+ * room.
+ */
+function destroy(connection, room, reason, alternate, cb) {
+  const stanza = new connection.Element('iq', { type: 'set', to: room });
+  const element = stanza.c('query', { xmlns: NS.MUC_OWNER }).c('destroy');
+  if (alternate) {
+    element.attrs.jid = alternate;
+  }
+  if (reason) {
+    element.c('reason').t(reason);
+  }
+  connection.sendIq(stanza, (err) => {
+    cb((err) ? 'destroying ' + room + ' failed: ' + err : undefined);
+  });
+}
+
+function submit(connection, room, x, cb) {
+  const stanza = new connection.Element('iq', { type: 'set', to: room });
+  stanza.c('query', { xmlns: NS.MUC_OWNER }).cnode(x);
+  connection.sendIq(stanza, (err) => {
+    cb((err) ? 'configuring ' + room + ' failed: ' + err : undefined);
+  });
+}
+
+module.exports = {
+  FORM_TYPE: FORM_TYPE,
+  changes: changes,
+  configure: configure,
+  destroy: destroy,
+  fetch: fetch,
+  toObject: toObject
+};
@@ -0,0 +1,205 @@
+const NS_SM = 'urn:xmpp:sm:3';
+const NS_BIND = 'urn:ietf:params:xml:ns:xmpp-bind';
+
+const DEFAULTS = {
+  retransmit: true // re-send unacknowledged messages after a reconnect, otherwise report them as failed
+};
+
+/**
+ * Stream Management (XEP-0198) bookkeeping for the current connection.
+ *
+ * Counts inbound stanzas, keeps outbound stanzas around until the server has
+ * acknowledged them, and answers the servers ack requests. After a dropped
+ * connection the previous stream is resumed if the server allows it, and
+ * whatever it never received is sent again. If it can't be resumed, stanzas
+ * which were never acknowledged are handed back by `takeUnacked()` so the
+ * platform can retransmit (or fail) them once it's back online.
+ */
+class StreamManagement {
+  constructor(Element, cfg) {
+    this.Element = Element;
+    this.cfg = Object.assign({}, DEFAULTS, (typeof cfg === 'object') ? cfg : {});
+    this.unacked = [];
+    this.__reset();
+  }
+
+  /**
+   * Whether the server advertised stream management in its stream features.
+   */
+  static supported(conn) {
+    return Boolean((conn) && (conn.streamFeatures) &&
+                   (typeof conn.streamFeatures.getChild === 'function') &&
+                   (conn.streamFeatures.getChild('sm', NS_SM)));
+  }
+
+  /**
+   * Enable stream management on a freshly connected (online) connection.
+   * Wraps `conn.send` so every outbound stanza is counted.
+   */
+  enable(conn) {
+    this.__reset();
+    this.__attach(conn);
+    this.tracking = true;
+    this.__send(new this.Element('enable', { xmlns: NS_SM, resume: 'true' }));
+  }
+
+  /**
+   * Whether the stream we had can be resumed on a new connection.
+   */
+  resumable() {
+    return Boolean((this.enabled) && (this.resumeAllowed) && (this.id));
+  }
+
+  /**
+   * Try to resume the previous stream on `conn`, a new node-xmpp-client
+   * connection which hasn't authenticated yet. Once authenticated, a
+   * `<resume/>` is sent instead of binding a resource, and if the server
+   * resumes the stream, the connection goes online with `resumed` set and
+   * everything the server didn't get is sent again. Otherwise it carries on
+   * binding a new resource, as if we never tried.
+   */
+  resume(conn) {
+    const useFeatures = conn.useFeatures.bind(conn);
+    const handleStanza = conn._handleStanza.bind(conn);
+    let resuming = false;
+    this.resumed = false;
+
+    conn.useFeatures = () => {
+      if ((!resuming) && (!conn.did_bind) && (conn.streamFeatures.getChild('bind', NS_BIND)) &&
+          (conn.streamFeatures.getChild('sm', NS_SM))) {
+        resuming = true;
+        return conn.send(new this.Element('resume', { xmlns: NS_SM, h: String(this.inbound), previd: this.id }));
+      }
+      return useFeatures();
+    };
+
+    conn._handleStanza = (stanza) => {
+      if ((!resuming) || (stanza.attrs.xmlns !== NS_SM)) {
+        return handleStanza(stanza);
+      }
+      resuming = false;
+      conn.useFeatures = useFeatures;
+      conn._handleStanza = handleStanza;
+      if (stanza.is('resumed')) {
+        this.__resumed(conn, parseInt(stanza.attrs.h, 10));
+        // the resumed stream keeps its resource and session
+        conn.did_bind = true;
+        conn.did_session = true;
+      } else {
+        this.__acknowledge(parseInt(stanza.attrs.h, 10));
+        this.__reset();
+      }
+      useFeatures();
+    };
+  }
+
+  /**
+   * Run `fn`, associating any stanzas it sends with `meta` so they can be
+   * identified if they're never acknowledged.
+   */
+  context(meta, fn) {
+    this.__meta = meta;
+    try {
+      fn();
+    } finally {
+      this.__meta = undefined;
+    }
+  }
+
+  /**
+   * Process an inbound stanza. Returns `true` if it was a stream management
+   * element that has been fully handled here.
+   */
+  handle(stanza) {
+    if (stanza.attrs.xmlns !== NS_SM) {
+      if (this.enabled) {
+        this.inbound++;
+      }
+      return false;
+    }
+
+    switch (stanza.name) {
+      case 'enabled':
+        this.enabled = true;
+        this.id = stanza.attrs.id;
+        this.resumeAllowed = (stanza.attrs.resume === 'true') || (stanza.attrs.resume === '1');
+        break;
+      case 'failed':
+        // server refused, nothing we send from now on will be acknowledged
+        this.tracking = false;
+        this.unacked = [];
+        break;
+      case 'r':
+        this.__send(new this.Element('a', { xmlns: NS_SM, h: String(this.inbound) }));
+        break;
+      case 'a':
+        this.__acknowledge(parseInt(stanza.attrs.h, 10));
+        break;
+    }
+    return true;
+  }
+
+  /**
+   * Returns (and forgets) all tagged stanzas the server never acknowledged.
+   */
+  takeUnacked() {
+    const unacked = this.unacked.filter((entry) => { return entry.meta; });
+    this.unacked = [];
+    return unacked;
+  }
+
+  __attach(conn) {
+    const send = conn.send.bind(conn);
+    this.__send = send;
+    conn.send = (stanza) => {
+      const result = send(stanza);
+      this.__outbound(stanza);
+      return result;
+    };
+  }
+
+  __resumed(conn, h) {
+    this.__attach(conn);
+    this.__acknowledge(h);
+    this.resumed = true;
+    const unacked = this.unacked;
+    this.unacked = [];
+    this.outbound = this.acked;
+    unacked.forEach((entry) => {
+      this.context(entry.meta, () => { conn.send(entry.stanza); });
+    });
+  }
+
+  __outbound(stanza) {
+    if ((!this.tracking) || (stanza.attrs.xmlns === NS_SM)) {
+      return;
+    }
+    this.outbound++;
+    this.unacked.push({ stanza: stanza, meta: this.__meta });
+    if (this.__meta) {
+      this.__send(new this.Element('r', { xmlns: NS_SM }));
+    }
+  }
+
+  __acknowledge(h) {
+    if (isNaN(h)) {
+      return;
+    }
+    this.unacked.splice(0, h - this.acked);
+    this.acked = h;
+  }
+
+  __reset() {
+    this.enabled = false;
+    this.tracking = false;
+    this.resumeAllowed = false;
+    this.resumed = false;
+    this.id = undefined;
+    this.inbound = 0;
+    this.outbound = 0;
+    this.acked = 0;
+    this.__meta = undefined;
+  }
+}
+
+module.exports = StreamManagement;
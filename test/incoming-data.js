@@ -1,3 +1,5 @@
+const ltx = require('ltx');
+
 module.exports = [
   // 'presence-1': {
   //   input: '<presence from="hermes@5apps.com/hyperchannel" xmlns:stream="http://etherx.jabber.org/streams"/>',
@@ -41,6 +43,173 @@ module.exports = [
       }
     }
   },
+  {
+    name: 'join refused without password',
+    input: '<presence type="error" to="hermes@5apps.com/hyperchannel" from="secret@muc.5apps.com/hermes" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc"/><error type="auth" by="secret@muc.5apps.com"><not-authorized xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error></presence>',
+    output: {
+      '@type': 'join',
+      actor: {
+        '@id': 'secret@muc.5apps.com',
+        '@type': 'room'
+      },
+      target: {
+        '@id': 'hermes@5apps.com/hyperchannel',
+        '@type': 'person'
+      },
+      object: {
+        '@type': 'error',
+        condition: 'not-authorized',
+        content: 'this room requires a password, none or the wrong one was given'
+      }
+    }
+  },
+  {
+    name: 'join refused with nickname conflict',
+    input: '<presence type="error" to="hermes@5apps.com/hyperchannel" from="test@muc.5apps.com/hermes" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc"/><error type="cancel" by="test@muc.5apps.com"><conflict xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/><text xmlns="urn:ietf:params:xml:ns:xmpp-stanzas">That nickname is registered by another person</text></error></presence>',
+    output: {
+      '@type': 'join',
+      actor: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      target: {
+        '@id': 'hermes@5apps.com/hyperchannel',
+        '@type': 'person'
+      },
+      object: {
+        '@type': 'error',
+        condition: 'conflict',
+        content: 'nickname already in use: That nickname is registered by another person'
+      }
+    }
+  },
+  {
+    name: 'room occupant presence',
+    input: '<presence to="hermes@5apps.com/hyperchannel" from="test@muc.5apps.com/greg the speedboat" xmlns:stream="http://etherx.jabber.org/streams"><show>away</show><status>gone fishing</status><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="none" role="participant"/></x></presence>',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@id': 'test@muc.5apps.com/greg the speedboat',
+        '@type': 'person',
+        displayName: 'greg the speedboat'
+      },
+      target: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'presence',
+        status: 'gone fishing',
+        presence: 'away'
+      }
+    }
+  },
+  {
+    name: 'left room',
+    input: '<presence type="unavailable" to="hermes@5apps.com/hyperchannel" from="test@muc.5apps.com/hermes" xmlns:stream="http://etherx.jabber.org/streams"><status>off to bed</status><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="member" role="none"/><status code="110"/></x></presence>',
+    output: {
+      '@type': 'leave',
+      actor: {
+        '@id': 'test@muc.5apps.com/hermes',
+        '@type': 'person',
+        displayName: 'hermes'
+      },
+      target: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'message',
+        content: 'off to bed'
+      }
+    }
+  },
+  {
+    name: 'occupant kicked',
+    input: '<presence type="unavailable" to="hermes@5apps.com/hyperchannel" from="test@muc.5apps.com/greg the speedboat" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="none" role="none"><actor nick="hermes"/><reason>too loud</reason></item><status code="307"/></x></presence>',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@id': 'test@muc.5apps.com/hermes',
+        '@type': 'person',
+        displayName: 'hermes'
+      },
+      target: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'role',
+        nick: 'greg the speedboat',
+        role: 'none',
+        reason: 'too loud',
+        status: 'kicked'
+      }
+    }
+  },
+  {
+    name: 'occupant banned',
+    input: '<presence type="unavailable" to="hermes@5apps.com/hyperchannel" from="test@muc.5apps.com/greg the speedboat" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="outcast" role="none" jid="greg@5apps.com/boat"/><status code="301"/></x></presence>',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      target: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'affiliation',
+        nick: 'greg the speedboat',
+        affiliation: 'outcast',
+        jid: 'greg@5apps.com/boat',
+        status: 'banned'
+      }
+    }
+  },
+  {
+    name: 'room destroyed',
+    input: '<presence type="unavailable" to="hermes@5apps.com/hyperchannel" from="test@muc.5apps.com/hermes" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="none" role="none"/><destroy jid="afterparty@muc.5apps.com"><reason>the party is over</reason></destroy></x></presence>',
+    output: {
+      '@type': 'delete',
+      actor: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      target: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'room',
+        reason: 'the party is over',
+        alternate: 'afterparty@muc.5apps.com'
+      }
+    }
+  },
+  {
+    name: 'occupant renamed',
+    input: '<presence type="unavailable" to="hermes@5apps.com/hyperchannel" from="test@muc.5apps.com/greg the speedboat" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="none" role="participant" nick="greg the hovercraft"/><status code="303"/></x></presence>',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@id': 'test@muc.5apps.com/greg the speedboat',
+        '@type': 'person',
+        displayName: 'greg the speedboat'
+      },
+      target: {
+        '@id': 'test@muc.5apps.com',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'person',
+        '@id': 'test@muc.5apps.com/greg the hovercraft',
+        displayName: 'greg the hovercraft'
+      }
+    }
+  },
   {
     name: 'groupbuddy event',
     input: ['test@muc.5apps.com', 'greg the speedboat', 'online', 'hey, wazzup?'],
@@ -65,7 +234,8 @@ module.exports = [
   },
   {
     name: 'attendance',
-    input: '<iq id="muc_id" type="result" to="ernie@jabber.net/Home" from="PartyChatRoom@jabber.net" xmlns:stream="http://etherx.jabber.org/streams"><query xmlns="http://jabber.org/protocol/disco#items"><item jid="PartyChatRoom@jabber.net/ernie" name="ernie"/><item jid="PartyChatRoom@jabber.net/bert" name="bert"/><item jid="PartyChatRoom@jabber.net/oscar" name="oscar"/><item jid="PartyChatRoom@jabber.net/big_bird" name="big_bird"/><item jid="PartyChatRoom@jabber.net/elmo" name="elmo"/></query></iq>',
+    input: '<iq id="a1b2c3d4-1" type="result" to="ernie@jabber.net/Home" from="PartyChatRoom@jabber.net" xmlns:stream="http://etherx.jabber.org/streams"><query xmlns="http://jabber.org/protocol/disco#items"><item jid="PartyChatRoom@jabber.net/ernie" name="ernie"/><item jid="PartyChatRoom@jabber.net/bert" name="bert"/><item jid="PartyChatRoom@jabber.net/oscar" name="oscar"/><item jid="PartyChatRoom@jabber.net/big_bird" name="big_bird"/><item jid="PartyChatRoom@jabber.net/elmo" name="elmo"/></query></iq>',
+    handler: 'roomAttendance',
     output: {
       '@type': 'observe',
       actor: {
@@ -90,9 +260,290 @@ module.exports = [
   },
   {
     name: 'message',
-    //input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="purple9840c15f" xmlns:stream="http://etherx.jabber.org/streams"><active xmlns="http://jabber.org/protocol/chatstates"/><body>ohai</body></message>',
-    input: [ 'radical@example.org', 'ohai' ],
-    handler: 'chat',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="purple9840c15f" xmlns:stream="http://etherx.jabber.org/streams"><active xmlns="http://jabber.org/protocol/chatstates"/><body>ohai</body></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'ohai',
+        '@id': 'purple9840c15f'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'message with origin-id',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="purple1" xmlns:stream="http://etherx.jabber.org/streams"><body>ohai</body><origin-id xmlns="urn:xmpp:sid:0" id="de305d54-75b4"/></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'ohai',
+        '@id': 'de305d54-75b4'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'private message from a room occupant',
+    input: '<message from="partyroom@muc.jabber.net/homer" to="user@jabber.org/home" type="chat" id="hmr-2" xmlns:stream="http://etherx.jabber.org/streams"><body>psst</body><x xmlns="http://jabber.org/protocol/muc#user"/></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'partyroom@muc.jabber.net/homer',
+        displayName: 'homer',
+        room: {
+          '@type': 'room',
+          '@id': 'partyroom@muc.jabber.net'
+        }
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'psst',
+        '@id': 'hmr-2'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'groupchat message with stanza-id',
+    input: '<message from="partyroom@muc.jabber.net/homer" to="user@jabber.org" type="groupchat" id="hmr-1" xmlns:stream="http://etherx.jabber.org/streams"><body>doh</body><stanza-id xmlns="urn:xmpp:sid:0" by="evil@muc.jabber.net" id="spoofed"/><stanza-id xmlns="urn:xmpp:sid:0" by="partyroom@muc.jabber.net" id="5f3dbc5e-e1d3"/></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        content: 'doh',
+        '@id': '5f3dbc5e-e1d3'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'chatstate',
+    input: ['homer@jabber.net/Home', 'composing'],
+    handler: 'chatstate',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer@jabber.net/Home'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'chatstate',
+        chatstate: 'composing'
+      }
+    }
+  },
+  {
+    name: 'groupchat chatstate',
+    input: '<message from="partyroom@muc.jabber.net/homer" to="user@jabber.org" type="groupchat" xmlns:stream="http://etherx.jabber.org/streams"><paused xmlns="http://jabber.org/protocol/chatstates"/></message>',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@type': 'person',
+        '@id': 'partyroom@muc.jabber.net/homer',
+        displayName: 'homer'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'chatstate',
+        chatstate: 'paused'
+      }
+    }
+  },
+  {
+    name: 'groupchat correction',
+    input: '<message from="partyroom@muc.jabber.net/homer" to="user@jabber.org" type="groupchat" id="hmr-2" xmlns:stream="http://etherx.jabber.org/streams"><body>mmm donuts</body><replace xmlns="urn:xmpp:message-correct:0" id="hmr-1"/></message>',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        content: 'mmm donuts',
+        '@id': 'hmr-1'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'moderated retraction',
+    input: '<message from="partyroom@muc.jabber.net" to="user@jabber.org" type="groupchat" id="mod-1" xmlns:stream="http://etherx.jabber.org/streams"><retract id="5f3dbc5e-e1d3" xmlns="urn:xmpp:message-retract:1"><moderated by="partyroom@muc.jabber.net/marge" xmlns="urn:xmpp:message-moderate:1"/><reason>not in front of the kids</reason></retract></message>',
+    output: {
+      '@type': 'delete',
+      actor: {
+        '@type': 'person',
+        '@id': 'marge'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        '@id': '5f3dbc5e-e1d3',
+        moderated: true,
+        reason: 'not in front of the kids'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'moderated retraction from an occupant',
+    input: '<message from="partyroom@muc.jabber.net/mallory" to="user@jabber.org" type="groupchat" id="mod-2" xmlns:stream="http://etherx.jabber.org/streams"><retract id="victim" xmlns="urn:xmpp:message-retract:1"><moderated by="partyroom@muc.jabber.net/admin" xmlns="urn:xmpp:message-moderate:1"/><reason>spam</reason></retract></message>',
+    output: {
+      '@type': 'delete',
+      actor: {
+        '@type': 'person',
+        '@id': 'mallory'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        '@id': 'victim'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'private retraction',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="rt-1" xmlns:stream="http://etherx.jabber.org/streams"><retract id="purple1" xmlns="urn:xmpp:message-retract:1"/><fallback xmlns="urn:xmpp:fallback:0" for="urn:xmpp:message-retract:1"/><body>This person attempted to retract a previous message, but it\'s unsupported by your client.</body></message>',
+    output: {
+      '@type': 'delete',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        '@id': 'purple1'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'reactions',
+    input: '<message from="partyroom@muc.jabber.net/homer" to="user@jabber.org" type="groupchat" id="re-1" xmlns:stream="http://etherx.jabber.org/streams"><reactions id="5f3dbc5e-e1d3" xmlns="urn:xmpp:reactions:0"><reaction>👍</reaction><reaction>🍩</reaction></reactions><store xmlns="urn:xmpp:hints"/></message>',
+    output: {
+      '@type': 'react',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        '@id': '5f3dbc5e-e1d3',
+        reactions: ['👍', '🍩']
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'reply',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="reply-1" xmlns:stream="http://etherx.jabber.org/streams"><body>sure thing</body><reply to="user@jabber.org/home" id="message-1" xmlns="urn:xmpp:reply:0"/></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'sure thing',
+        '@id': 'reply-1',
+        inReplyTo: {
+          '@type': 'message',
+          '@id': 'message-1',
+          actor: { '@id': 'user@jabber.org/home' }
+        }
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'attachment',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="file-1" xmlns:stream="http://etherx.jabber.org/streams"><body>https://upload.example.org/a1b2/donut.png</body><x xmlns="jabber:x:oob"><url>https://upload.example.org/a1b2/donut.png</url></x><file-sharing xmlns="urn:xmpp:sfs:0"><file xmlns="urn:xmpp:file:metadata:0"><media-type>image/png</media-type><name>donut.png</name><size>3032449</size></file><sources><url-data xmlns="http://jabber.org/protocol/url-data" target="https://upload.example.org/a1b2/donut.png"/></sources></file-sharing></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'https://upload.example.org/a1b2/donut.png',
+        '@id': 'file-1',
+        url: 'https://upload.example.org/a1b2/donut.png',
+        name: 'donut.png',
+        mediaType: 'image/png',
+        size: 3032449
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'omemo encrypted message',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="omemo-1" xmlns:stream="http://etherx.jabber.org/streams"><encrypted xmlns="eu.siacs.conversations.axolotl"><header sid="27183"><key rid="31415">BASE64ENCODED...</key><iv>BASE64ENCODED...</iv></header><payload>BASE64ENCODED</payload></encrypted><encryption xmlns="urn:xmpp:eme:0" namespace="eu.siacs.conversations.axolotl"/><body>I sent you an OMEMO encrypted message but your client doesn’t seem to support that.</body><store xmlns="urn:xmpp:hints"/></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'I sent you an OMEMO encrypted message but your client doesn’t seem to support that.',
+        '@id': 'omemo-1',
+        encryption: 'OMEMO'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'omemo encrypted message, decrypted',
+    omemo: true,
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="omemo-2" xmlns:stream="http://etherx.jabber.org/streams"><encrypted xmlns="eu.siacs.conversations.axolotl"><header sid="27183"><key rid="31415">BASE64ENCODED...</key><iv>BASE64ENCODED...</iv></header><payload>b2hhaQ==</payload></encrypted><encryption xmlns="urn:xmpp:eme:0" namespace="eu.siacs.conversations.axolotl"/><body>I sent you an OMEMO encrypted message but your client doesn’t seem to support that.</body><store xmlns="urn:xmpp:hints"/></message>',
     output: {
       '@type': 'send',
       actor: {
@@ -103,7 +554,266 @@ module.exports = [
       object: {
         '@type': 'message',
         content: 'ohai',
-        '@id': 1
+        '@id': 'omemo-2',
+        encryption: 'OMEMO'
+      },
+      published: 'now'
+    }
+  },
+  {
+    name: 'omemo encrypted message we can\'t decrypt',
+    omemo: true,
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="omemo-3" xmlns:stream="http://etherx.jabber.org/streams"><encrypted xmlns="eu.siacs.conversations.axolotl"><header sid="27183"><key rid="31415">BASE64ENCODED...</key><iv>BASE64ENCODED...</iv></header><payload>undecryptable</payload></encrypted><body>I sent you an OMEMO encrypted message but your client doesn’t seem to support that.</body></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'error',
+        content: 'decrypting OMEMO message from radical@example.org failed: Bad MAC'
+      }
+    }
+  },
+  {
+    name: 'direct invitation',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="jabber:x:conference" jid="darkcave@macbeth.shakespeare.lit" password="cauldronburn" reason="Hey Hecate, this is the place for all good witches!"/></message>',
+    output: {
+      '@type': 'invite',
+      actor: {
+        '@id': 'radical@example.org/thinkpad',
+        '@type': 'person'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'room',
+        '@id': 'darkcave@macbeth.shakespeare.lit',
+        mediated: false,
+        reason: 'Hey Hecate, this is the place for all good witches!',
+        password: 'cauldronburn'
+      }
+    }
+  },
+  {
+    name: 'mediated invitation',
+    input: '<message from="darkcave@macbeth.shakespeare.lit" to="user@jabber.org" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc#user"><invite from="crone1@shakespeare.lit/desktop"><reason>Hey Hecate, this is the place for all good witches!</reason></invite><password>cauldronburn</password></x></message>',
+    output: {
+      '@type': 'invite',
+      actor: {
+        '@id': 'crone1@shakespeare.lit/desktop',
+        '@type': 'person'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'room',
+        '@id': 'darkcave@macbeth.shakespeare.lit',
+        mediated: true,
+        reason: 'Hey Hecate, this is the place for all good witches!',
+        password: 'cauldronburn'
+      }
+    }
+  },
+  {
+    name: 'declined invitation',
+    input: '<message from="darkcave@macbeth.shakespeare.lit" to="user@jabber.org" xmlns:stream="http://etherx.jabber.org/streams"><x xmlns="http://jabber.org/protocol/muc#user"><decline from="hecate@shakespeare.lit"><reason>Sorry, I am busy right now.</reason></decline></x></message>',
+    output: {
+      '@type': 'decline',
+      actor: {
+        '@id': 'hecate@shakespeare.lit',
+        '@type': 'person'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'room',
+        '@id': 'darkcave@macbeth.shakespeare.lit',
+        reason: 'Sorry, I am busy right now.'
+      }
+    }
+  },
+  {
+    name: 'offline message with delay',
+    input: '<message from="radical@example.org/thinkpad" to="user@jabber.org" type="chat" id="offline-1" xmlns:stream="http://etherx.jabber.org/streams"><body>are you there?</body><delay xmlns="urn:xmpp:delay" from="example.org" stamp="2002-09-10T23:08:25Z">Offline Storage</delay></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'radical@example.org'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'are you there?',
+        '@id': 'offline-1'
+      },
+      published: '2002-09-10T23:08:25.000Z',
+      delayed: true
+    }
+  },
+  {
+    name: 'room history with legacy delay',
+    input: '<message from="partyroom@muc.jabber.net/homer" to="user@jabber.org" type="groupchat" id="hist-1" xmlns:stream="http://etherx.jabber.org/streams"><body>mmm donuts</body><x xmlns="jabber:x:delay" stamp="20020910T23:41:07"/></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        content: 'mmm donuts',
+        '@id': 'hist-1'
+      },
+      published: '2002-09-10T23:41:07.000Z',
+      delayed: true
+    }
+  },
+  {
+    name: 'archived groupchat message',
+    input: '<message to="user@jabber.org/home" from="partyroom@muc.jabber.net" xmlns:stream="http://etherx.jabber.org/streams"><result xmlns="urn:xmpp:mam:2" queryid="history-1" id="28482-98726-73623"><forwarded xmlns="urn:xmpp:forward:0"><delay xmlns="urn:xmpp:delay" stamp="2010-07-10T23:08:25Z"/><message from="partyroom@muc.jabber.net/homer" type="groupchat"><body>doh</body></message></forwarded></result></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer'
+      },
+      target: {
+        '@type': 'room',
+        '@id': 'partyroom@muc.jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        content: 'doh',
+        '@id': '28482-98726-73623'
+      },
+      published: '2010-07-10T23:08:25.000Z',
+      delayed: true
+    }
+  },
+  {
+    name: 'end of archive query',
+    input: '<iq type="result" id="history-1" to="user@jabber.org/home" from="partyroom@muc.jabber.net" xmlns:stream="http://etherx.jabber.org/streams"><fin xmlns="urn:xmpp:mam:2"><set xmlns="http://jabber.org/protocol/rsm"><first index="0">28482-98726-73623</first><last>09af3-cc343-b409f</last><count>20</count></set></fin></iq>',
+    handler: 'historyComplete',
+    output: {
+      '@type': 'observe',
+      actor: {
+        '@id': 'partyroom@muc.jabber.net',
+        '@type': 'room'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'history',
+        '@id': 'history-1',
+        complete: false,
+        first: '28482-98726-73623',
+        last: '09af3-cc343-b409f',
+        count: 20
+      }
+    }
+  },
+  {
+    name: 'bookmark changed by another client',
+    input: ['user@jabber.org', ltx.parse('<items xmlns="http://jabber.org/protocol/pubsub#event" node="urn:xmpp:bookmarks:1"><item id="partyroom@muc.jabber.net"><conference xmlns="urn:xmpp:bookmarks:1" name="The Party" autojoin="true"><nick>homer</nick></conference></item></items>')],
+    handler: 'bookmarksChanged',
+    output: {
+      '@type': 'update',
+      actor: {
+        '@id': 'user@jabber.org',
+        '@type': 'person'
+      },
+      target: {
+        '@id': 'partyroom@muc.jabber.net',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'bookmark',
+        '@id': 'partyroom@muc.jabber.net',
+        autojoin: true,
+        name: 'The Party',
+        nick: 'homer'
+      }
+    }
+  },
+  {
+    name: 'bookmark removed by another client',
+    input: ['user@jabber.org', ltx.parse('<items xmlns="http://jabber.org/protocol/pubsub#event" node="urn:xmpp:bookmarks:1"><retract id="partyroom@muc.jabber.net"/></items>')],
+    handler: 'bookmarksChanged',
+    output: {
+      '@type': 'delete',
+      actor: {
+        '@id': 'user@jabber.org',
+        '@type': 'person'
+      },
+      target: {
+        '@id': 'partyroom@muc.jabber.net',
+        '@type': 'room'
+      },
+      object: {
+        '@type': 'bookmark',
+        '@id': 'partyroom@muc.jabber.net'
+      }
+    }
+  },
+  {
+    name: 'sent carbon',
+    input: ['sent', ltx.parse('<message xmlns="jabber:client" from="user@jabber.org/phone" to="homer@jabber.net/Home" type="chat" id="phone-1"><body>sent from my phone</body></message>')],
+    handler: 'carbon',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'user@jabber.org'
+      },
+      target: {
+        '@type': 'person',
+        '@id': 'homer@jabber.net'
+      },
+      object: {
+        '@type': 'message',
+        content: 'sent from my phone',
+        '@id': 'phone-1'
+      },
+      carbon: true,
+      published: 'now'
+    }
+  },
+  {
+    name: 'carbon from our own account',
+    input: '<message from="user@jabber.org" to="user@jabber.org/home" type="chat" xmlns:stream="http://etherx.jabber.org/streams"><received xmlns="urn:xmpp:carbons:2"><forwarded xmlns="urn:xmpp:forward:0"><message xmlns="jabber:client" from="homer@jabber.net/Home" to="user@jabber.org/phone" type="chat" id="homer-1"><body>call me</body><stanza-id xmlns="urn:xmpp:sid:0" by="user@jabber.org" id="srv-1"/></message></forwarded></received></message>',
+    output: {
+      '@type': 'send',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer@jabber.net'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        content: 'call me',
+        '@id': 'srv-1'
+      },
+      carbon: true,
+      published: 'now'
+    }
+  },
+  {
+    name: 'delivery receipt',
+    input: '<message from="homer@jabber.net/Home" to="user@jabber.org" id="ack-1" xmlns:stream="http://etherx.jabber.org/streams"><received xmlns="urn:xmpp:receipts" id="message-1"/></message>',
+    output: {
+      '@type': 'receipt',
+      actor: {
+        '@type': 'person',
+        '@id': 'homer@jabber.net/Home'
+      },
+      target: 'user@jabber.org',
+      object: {
+        '@type': 'message',
+        '@id': 'message-1'
       }
     }
   }
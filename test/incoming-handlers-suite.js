@@ -37,6 +37,21 @@ define(['require'], function (require) {
         debug: console.log
       });
       env.platform.actor = 'user@jabber.org';
+      env.platform.fullJid = 'user@jabber.org/home';
+      // the archive query the history results in the incoming data answer
+      env.platform.historyQueries = { 'history-1': { jid: 'partyroom@muc.jabber.net', own: false } };
+      // stands in for OMEMO in the entries which have it enabled, the payload is the base64 encoded plaintext
+      env.omemo = {
+        decrypt: function (stanza, cb) {
+          const payload = stanza.getChild('encrypted', 'eu.siacs.conversations.axolotl').getChildText('payload');
+          setTimeout(function () {
+            if (payload === 'undecryptable') {
+              return cb('decrypting OMEMO message from radical@example.org failed: Bad MAC');
+            }
+            cb(undefined, Buffer.from(payload, 'base64').toString());
+          }, 0);
+        }
+      };
 
       test.assertTypeAnd(env.xmpp, 'object');
       test.assertType(env.xmpp.connect, 'function');
@@ -66,8 +81,14 @@ define(['require'], function (require) {
           env.platform.sendToClient = function (msg) {
             console.log('sendToClient: ', msg);
             console.log('expected:', entry.output);
+            if (entry.output.published === 'now') {
+              // the time we received the message, can only check it's recent
+              test.assertAnd(Math.abs(Date.parse(msg.published) - Date.now()) < 5000, true);
+              msg = Object.assign({}, msg, { published: 'now' });
+            }
             test.assert(msg, entry.output);
           };
+          env.platform.omemo = (entry.omemo) ? env.omemo : undefined;
           const func  = entry.handler || '__stanza';
           const ih = new env.IncomingHandlers(env.platform, 'user@jabber.org');
           console.log('function: ' + func, typeof ih[func]);
@@ -0,0 +1,105 @@
+if(typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['require'], function (require) {
+  var suites = [];
+
+  suites.push({
+    name: "iq tracker tests",
+    desc: "pending iq requests, their responses and timeouts",
+    abortOnFail: true,
+    setup: function (env, test) {
+      env.IqTracker = require('./../lib/iq-tracker');
+      env.Element = require('node-xmpp-client').Element;
+      env.ltx = require('ltx');
+      test.done();
+    },
+    tests: [
+      {
+        desc: 'ids are generated and unique',
+        run: function (env, test) {
+          const tracker = new env.IqTracker();
+          const one = new env.Element('iq', { type: 'get' });
+          const two = new env.Element('iq', { type: 'get' });
+          const own = new env.Element('iq', { type: 'get', id: 'mine' });
+          tracker.track(one, function () {});
+          tracker.track(two, function () {});
+          test.assertTypeAnd(one.attrs.id, 'string');
+          test.assertAnd(one.attrs.id === two.attrs.id, false);
+          test.assertAnd(tracker.track(own, function () {}), 'mine');
+          tracker.failAll('done');
+          test.assert(Object.keys(tracker.pending).length, 0);
+        }
+      },
+
+      {
+        desc: 'results and errors resolve the matching request only',
+        run: function (env, test) {
+          const tracker = new env.IqTracker();
+          const calls = [];
+          tracker.track(new env.Element('iq', { type: 'get', id: 'a' }), function (err, stanza) {
+            calls.push([err, stanza.attrs.id]);
+          });
+          tracker.track(new env.Element('iq', { type: 'set', id: 'b' }), function (err, stanza) {
+            calls.push([err, stanza.attrs.id]);
+          });
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="c"/>')), false);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="get" id="a"/>')), false);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="error" id="b"><error type="cancel"><item-not-found xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error></iq>')), true);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="a"/>')), true);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="a"/>')), false);
+          test.assertAnd(calls.length, 2);
+          test.assertAnd(calls[0], ['item-not-found', 'b']);
+          test.assertTypeAnd(calls[1][0], 'undefined');
+          test.assert(calls[1][1], 'a');
+        }
+      },
+
+      {
+        desc: 'only the entity a request was sent to can answer it',
+        run: function (env, test) {
+          const tracker = new env.IqTracker({}, 'user@jabber.org/home');
+          const answered = [];
+          tracker.track(new env.Element('iq', { type: 'get', id: 'room', to: 'room@muc.jabber.org' }), function (err) {
+            answered.push('room');
+          });
+          tracker.track(new env.Element('iq', { type: 'get', id: 'own' }), function (err) {
+            answered.push('own');
+          });
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="room" from="mallory@evil.org"/>')), false);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="room"/>')), false);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="own" from="room@muc.jabber.org"/>')), false);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="room" from="Room@muc.jabber.org"/>')), true);
+          test.assertAnd(tracker.handle(env.ltx.parse('<iq type="result" id="own" from="user@jabber.org"/>')), true);
+          test.assert(answered, ['room', 'own']);
+        }
+      },
+
+      {
+        desc: 'requests without a response time out',
+        run: function (env, test) {
+          const tracker = new env.IqTracker({ timeout: 10 });
+          tracker.track(new env.Element('iq', { type: 'get' }), function (err, stanza) {
+            test.assertAnd(stanza, undefined);
+            test.assertAnd(Object.keys(tracker.pending).length, 0);
+            test.assert(err, 'timeout');
+          });
+        }
+      },
+
+      {
+        desc: 'failAll reports the reason to every pending request',
+        run: function (env, test) {
+          const tracker = new env.IqTracker();
+          const errors = [];
+          tracker.track(new env.Element('iq', { type: 'get' }), function (err) { errors.push(err); });
+          tracker.track(new env.Element('iq', { type: 'get' }), function (err) { errors.push(err); });
+          tracker.failAll('connection lost');
+          test.assert(errors, ['connection lost', 'connection lost']);
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
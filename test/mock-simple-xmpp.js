@@ -1,35 +1,24 @@
 var xmppClient = require('node-xmpp-client');
 
-var SimpleXMPP = function (test) {
+var Client = function (test) {
   var callbacks = {};
 
-  var xmpp = {
+  var client = {
     connect: new test.Stub(function (creds) {
       test.write('XMPP STUB: connect called: ' + creds.jid );
       setTimeout(function () {
-        // console.log('call registered ', Object.keys(callbacks));
-        if (!callbacks) {
-          callbacks = {};
-        } else if (typeof callbacks.online === 'function') {
-          //test.write('XMPP STUB: calling registered callback with client:', client);
-          callbacks.online();
-        }
+        client.triggerEvent('online');
       }, 0);
     }),
-    removeListener: new test.Stub(function (key, name) {
+    removeListener: new test.Stub(function (name, func) {
       test.write('XMPP STUB: unhookEvent');
-      if (! callbacks) {
-        callbacks = {};
-      } else {
-        delete callbacks[name];
-      }
+      callbacks[name] = (callbacks[name] || []).filter(function (registered) {
+        return registered !== func;
+      });
     }),
     on: new test.Stub(function (name, func) {
       test.write('XMPP STUB: hookEvent');
-      if (! callbacks) {
-        callbacks = {};
-      }
-      callbacks[name] = func;
+      callbacks[name] = (callbacks[name] || []).concat([func]);
     }),
     join: new test.Stub(function (target, message) {
       test.write('XMPP STUB: join')
@@ -43,13 +32,18 @@ var SimpleXMPP = function (test) {
     getRoster: new test.Stub(function (target, message) {
       test.write('XMPP STUB: getRoster')
     }),
-    triggerEvent: test.Stub(function (name) {
-      if (!callbacks) {
-        callbacks = {};
-      } else if (typeof callbacks[name] === 'function') {
-        callbacks[name]();
-      }
+    disconnect: new test.Stub(function () {
+      test.write('XMPP STUB: disconnect')
+    }),
+    triggerEvent: new test.Stub(function (name) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      (callbacks[name] || []).slice().forEach(function (func) {
+        func.apply(null, args);
+      });
     }),
+    listenerCount: function (name) {
+      return (callbacks[name] || []).length;
+    },
 
     conn: {
       send: new test.Stub(function (stanza) {
@@ -60,6 +54,21 @@ var SimpleXMPP = function (test) {
     Element: xmppClient.Element
   };
 
+  return client;
+};
+
+var SimpleXMPP = function (test) {
+  var xmpp = new Client(test);
+
+  // every connection gets a client of its own, like simple-xmpp does. The first
+  // one is the mock itself, so the tests can reach it directly.
+  xmpp.instances = [];
+  xmpp.SimpleXMPP = function () {
+    var client = (xmpp.instances.length) ? new Client(test) : xmpp;
+    xmpp.instances.push(client);
+    return client;
+  };
+
   return xmpp;
 };
 
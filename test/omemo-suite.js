@@ -0,0 +1,267 @@
+if(typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['require'], function (require) {
+  var suites = [];
+
+  suites.push({
+    name: "omemo tests",
+    desc: "XEP-0384 keys, sessions, encryption and trust",
+    abortOnFail: true,
+    setup: function (env, test) {
+      env.handlers = {
+        uncaughtException: process.listenerCount('uncaughtException'),
+        unhandledRejection: process.listenerCount('unhandledRejection')
+      };
+      env.Omemo = require('./../lib/omemo');
+      env.NS = require('./../lib/namespaces');
+      env.Element = require('node-xmpp-client').Element;
+      env.ltx = require('ltx');
+      // published pubsub items by owner and node, for everyone to fetch
+      env.pep = {};
+      env.connection = function (jid) {
+        const connection = {
+          fullJid: jid + '/Home',
+          actor: { '@id': jid + '/Home' },
+          Element: env.Element,
+          activities: [],
+          debug: function () {},
+          sendToClient: function (activity) {
+            connection.activities.push(activity);
+          },
+          sendIq: function (stanza, cb) {
+            const pubsub = stanza.getChild('pubsub', env.NS.PUBSUB);
+            const publish = pubsub.getChild('publish');
+            setTimeout(function () {
+              if (publish) {
+                env.pep[jid + ' ' + publish.attrs.node] = publish.getChild('item');
+                return cb(undefined, env.ltx.parse('<iq type="result"/>'));
+              }
+              const node = pubsub.getChild('items').attrs.node;
+              const item = env.pep[stanza.attrs.to + ' ' + node];
+              if (!item) {
+                return cb('item-not-found');
+              }
+              const result = env.ltx.parse('<iq type="result"><pubsub xmlns="' + env.NS.PUBSUB + '"><items node="' +
+                                           node + '"/></pubsub></iq>');
+              result.getChild('pubsub').getChild('items').cnode(item);
+              cb(undefined, result);
+            }, 0);
+          }
+        };
+        return connection;
+      };
+      env.stores = {};
+      env.store = function (jid) {
+        env.stores[jid] = { saved: 0 };
+        return {
+          load: function (jid, cb) {
+            cb(undefined, env.stores[jid].state);
+          },
+          save: function (jid, state, cb) {
+            env.stores[jid].state = state;
+            env.stores[jid].saved += 1;
+            cb();
+          }
+        };
+      };
+      env.message = function (from, to, text) {
+        const stanza = new env.Element('message', { from: from, to: to, type: 'chat', id: 'm1' });
+        stanza.c('body').t(text);
+        return stanza;
+      };
+      env.alice = new env.Omemo(env.connection('alice@jabber.net'), env.store('alice@jabber.net'));
+      env.bob = new env.Omemo(env.connection('bob@jabber.net'), env.store('bob@jabber.net'));
+      test.done();
+    },
+    tests: [
+      {
+        desc: 'keys are created once and published with our device',
+        run: function (env, test) {
+          env.alice.start(function (err) {
+            test.assertTypeAnd(err, 'undefined');
+            const deviceId = env.alice.state.deviceId;
+            const bundle = env.pep['alice@jabber.net ' + env.NS.LEGACY_OMEMO + '.bundles:' + deviceId]
+                              .getChild('bundle', env.NS.LEGACY_OMEMO);
+            test.assertAnd(bundle.getChild('prekeys').getChildren('preKeyPublic').length, 100);
+            test.assertAnd(bundle.getChildText('identityKey'), env.alice.state.identityKey.pubKey);
+            const list = env.pep['alice@jabber.net ' + env.NS.LEGACY_OMEMO + '.devicelist']
+                            .getChild('list', env.NS.LEGACY_OMEMO);
+            test.assertAnd(list.getChildren('device').map(function (device) { return device.attrs.id; }),
+                           [String(deviceId)]);
+            test.assertAnd(env.stores['alice@jabber.net'].state.deviceId, deviceId);
+            // a new platform instance is the same device
+            const again = new env.Omemo(env.connection('alice@jabber.net'), {
+              load: function (jid, cb) { cb(undefined, env.stores[jid].state); },
+              save: function (jid, state, cb) { cb(); }
+            });
+            again.start(function (err) {
+              test.assertTypeAnd(err, 'undefined');
+              test.assertAnd(again.state.deviceId, deviceId);
+              test.assert(env.pep['alice@jabber.net ' + env.NS.LEGACY_OMEMO + '.devicelist']
+                             .getChild('list', env.NS.LEGACY_OMEMO).getChildren('device').length, 1);
+            });
+          });
+        }
+      },
+
+      {
+        desc: 'libsignal leaves no process wide error handlers behind',
+        run: function (env, test) {
+          test.assertAnd(process.listenerCount('uncaughtException'), env.handlers.uncaughtException);
+          test.assert(process.listenerCount('unhandledRejection'), env.handlers.unhandledRejection);
+        }
+      },
+
+      {
+        desc: 'messages are encrypted for the contacts devices and decrypted by them',
+        run: function (env, test) {
+          env.bob.start(function () {
+            const bobDevice = env.bob.state.deviceId;
+            const preKeys = Object.keys(env.bob.state.preKeys);
+            const stanza = env.message('alice@jabber.net/Home', 'bob@jabber.net', 'Hello Bob');
+            env.alice.encrypt(stanza, function (err) {
+              test.assertTypeAnd(err, 'undefined');
+              test.assertAnd(stanza.toString().indexOf('Hello Bob'), -1);
+              test.assertAnd(stanza.getChildren('body').length, 1);
+              test.assertAnd(stanza.getChild('encryption', env.NS.EME).attrs.namespace, env.NS.LEGACY_OMEMO);
+              test.assertAnd(Boolean(stanza.getChild('store', env.NS.HINTS)), true);
+              const key = stanza.getChild('encrypted', env.NS.LEGACY_OMEMO).getChild('header').getChild('key');
+              test.assertAnd(key.attrs.rid, String(bobDevice));
+              test.assertAnd(key.attrs.prekey, 'true');
+              env.bob.decrypt(env.ltx.parse(stanza.toString()), function (err, plaintext) {
+                test.assertTypeAnd(err, 'undefined');
+                test.assertAnd(plaintext, 'Hello Bob');
+                const reply = env.message('bob@jabber.net/Home', 'alice@jabber.net', 'Hi Alice');
+                env.bob.encrypt(reply, function (err) {
+                  test.assertTypeAnd(err, 'undefined');
+                  const key = reply.getChild('encrypted', env.NS.LEGACY_OMEMO).getChild('header').getChild('key');
+                  test.assertTypeAnd(key.attrs.prekey, 'undefined');
+                  env.alice.decrypt(env.ltx.parse(reply.toString()), function (err, plaintext) {
+                    test.assertTypeAnd(err, 'undefined');
+                    test.assertAnd(plaintext, 'Hi Alice');
+                    // the prekey alice used is gone, and replaced
+                    setTimeout(function () {
+                      const published = env.pep['bob@jabber.net ' + env.NS.LEGACY_OMEMO + '.bundles:' + bobDevice]
+                                           .getChild('bundle', env.NS.LEGACY_OMEMO).getChild('prekeys')
+                                           .getChildren('preKeyPublic').map(function (preKey) {
+                                             return preKey.attrs.preKeyId;
+                                           });
+                      test.assertAnd(published.length, 100);
+                      test.assert(preKeys.filter(function (keyId) {
+                        return published.indexOf(keyId) < 0;
+                      }).length, 1);
+                    }, 10);
+                  });
+                });
+              });
+            });
+          });
+        }
+      },
+
+      {
+        desc: 'new devices are reported as undecided, with their fingerprint',
+        run: function (env, test) {
+          const activities = env.alice.connection.activities;
+          test.assertAnd(activities.length, 1);
+          test.assertAnd(activities[0]['@type'], 'update');
+          test.assertAnd(activities[0].actor, { '@id': 'bob@jabber.net', '@type': 'person' });
+          test.assertAnd(activities[0].target, { '@id': 'alice@jabber.net/Home' });
+          test.assertAnd(activities[0].object['@type'], 'device');
+          test.assertAnd(activities[0].object['@id'], String(env.bob.state.deviceId));
+          test.assertAnd(activities[0].object.trust, 'undecided');
+          test.assertAnd(activities[0].object.fingerprint,
+                         Buffer.from(env.bob.state.identityKey.pubKey, 'base64').slice(1).toString('hex'));
+          // and the other way round, from the message that set up the session
+          test.assertAnd(env.bob.connection.activities.length, 1);
+          test.assertAnd(env.bob.connection.activities[0].actor['@id'], 'alice@jabber.net');
+          test.assert(env.bob.connection.activities[0].object.fingerprint,
+                      Buffer.from(env.alice.state.identityKey.pubKey, 'base64').slice(1).toString('hex'));
+        }
+      },
+
+      {
+        desc: 'devices are listed with how far they are trusted',
+        run: function (env, test) {
+          env.alice.devices('bob@jabber.net', function (err, devices) {
+            test.assertTypeAnd(err, 'undefined');
+            test.assertAnd(devices.length, 1);
+            test.assertAnd(devices[0]['@id'], String(env.bob.state.deviceId));
+            test.assert(devices[0].trust, 'undecided');
+          });
+        }
+      },
+
+      {
+        desc: 'untrusted devices are not encrypted for, and their messages not decrypted',
+        run: function (env, test) {
+          env.alice.trust('bob@jabber.net', String(env.bob.state.deviceId), 'untrusted', function (err) {
+            test.assertTypeAnd(err, 'undefined');
+            const activity = env.alice.connection.activities[env.alice.connection.activities.length - 1];
+            test.assertAnd(activity.object.trust, 'untrusted');
+            const stanza = env.message('alice@jabber.net/Home', 'bob@jabber.net', 'Secret');
+            env.alice.encrypt(stanza, function (err) {
+              test.assertAnd(err, 'no trusted OMEMO devices of bob@jabber.net to encrypt for');
+              test.assertAnd(stanza.getChildText('body'), 'Secret');
+              const reply = env.message('bob@jabber.net/Home', 'alice@jabber.net', 'Are you there?');
+              env.bob.encrypt(reply, function (err) {
+                test.assertTypeAnd(err, 'undefined');
+                env.alice.decrypt(env.ltx.parse(reply.toString()), function (err, plaintext) {
+                  test.assertTypeAnd(plaintext, 'undefined');
+                  test.assertTypeAnd(err, 'string');
+                  env.alice.trust('bob@jabber.net', String(env.bob.state.deviceId), 'trusted', function (err) {
+                    test.assertTypeAnd(err, 'undefined');
+                    test.assert(env.alice.state.identities['bob@jabber.net'][env.bob.state.deviceId].trust, 'trusted');
+                  });
+                });
+              });
+            });
+          });
+        }
+      },
+
+      {
+        desc: 'trust can only be decided for known devices',
+        run: function (env, test) {
+          env.alice.trust('bob@jabber.net', '1', 'trusted', function (err) {
+            test.assertAnd(err, 'unknown OMEMO device 1 of bob@jabber.net');
+            env.alice.trust('bob@jabber.net', String(env.bob.state.deviceId), 'maybe', function (err) {
+              test.assert(err, 'unknown trust (should be undecided, trusted, untrusted): maybe');
+            });
+          });
+        }
+      },
+
+      {
+        desc: 'without a store, every connection is a device of its own',
+        run: function (env, test) {
+          const home = new env.Omemo(env.connection('dave@jabber.net'));
+          const work = new env.Omemo(env.connection('dave@jabber.net'));
+          home.start(function (err) {
+            test.assertTypeAnd(err, 'undefined');
+            work.start(function (err) {
+              test.assertTypeAnd(err, 'undefined');
+              test.assertAnd(work.state.deviceId !== home.state.deviceId, true);
+              test.assert(env.pep['dave@jabber.net ' + env.NS.LEGACY_OMEMO + '.devicelist']
+                             .getChild('list', env.NS.LEGACY_OMEMO).getChildren('device').length, 2);
+            });
+          });
+        }
+      },
+
+      {
+        desc: 'messages to someone without OMEMO devices are not encrypted',
+        run: function (env, test) {
+          const stanza = env.message('alice@jabber.net/Home', 'carol@jabber.net', 'Hi Carol');
+          env.alice.encrypt(stanza, function (err) {
+            test.assertAnd(err, 'no trusted OMEMO devices of carol@jabber.net to encrypt for');
+            test.assert(stanza.getChild('encrypted', env.NS.LEGACY_OMEMO), undefined);
+          });
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
@@ -0,0 +1,59 @@
+if(typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['require'], function (require) {
+  var suites = [];
+
+  suites.push({
+    name: "reconnect tests",
+    desc: "backoff and job queue handling used while reconnecting",
+    abortOnFail: true,
+    setup: function (env, test) {
+      env.Reconnect = require('./../lib/reconnect');
+      test.done();
+    },
+    tests: [
+      {
+        desc: 'delay grows exponentially and stays within jitter bounds',
+        run: function (env, test) {
+          const r = new env.Reconnect({ initialDelay: 100, factor: 2, jitter: 0.5, maxDelay: 1000 });
+          const first = r.nextDelay();
+          test.assertAnd(first >= 50 && first <= 100, true);
+          r.attempts = 2;
+          const third = r.nextDelay();
+          test.assertAnd(third >= 200 && third <= 400, true);
+          r.attempts = 10;
+          const capped = r.nextDelay();
+          test.assert(capped >= 500 && capped <= 1000, true);
+        }
+      },
+
+      {
+        desc: 'schedule gives up after maxAttempts',
+        run: function (env, test) {
+          const r = new env.Reconnect({ initialDelay: 1, maxAttempts: 1 });
+          test.assertTypeAnd(r.schedule(function () {}), 'number');
+          test.assertAnd(r.active, true);
+          test.assertAnd(r.schedule(function () {}), false);
+          r.reset();
+          test.assertAnd(r.active, false);
+          test.assert(r.attempts, 0);
+        }
+      },
+
+      {
+        desc: 'queue is bounded and drains in order',
+        run: function (env, test) {
+          const r = new env.Reconnect({ maxQueue: 2 });
+          test.assertAnd(r.enqueue('a'), true);
+          test.assertAnd(r.enqueue('b'), true);
+          test.assertAnd(r.enqueue('c'), false);
+          test.assertAnd(r.drain(), ['a', 'b']);
+          test.assert(r.queue.length, 0);
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
@@ -0,0 +1,128 @@
+if(typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['require'], function (require) {
+  var suites = [];
+
+  suites.push({
+    name: "stream management tests",
+    desc: "XEP-0198 counters, acks and unacknowledged stanzas",
+    abortOnFail: true,
+    setup: function (env, test) {
+      env.StreamManagement = require('./../lib/stream-management');
+      env.Element = require('node-xmpp-client').Element;
+      env.ltx = require('ltx');
+      env.sent = [];
+      env.conn = {
+        send: function (stanza) {
+          env.sent.push(stanza);
+        }
+      };
+      env.sm = new env.StreamManagement(env.Element);
+      env.sm.enable(env.conn);
+      test.assertAnd(env.sent[0].is('enable', 'urn:xmpp:sm:3'), true);
+      test.assert(env.sm.handle(env.ltx.parse('<enabled xmlns="urn:xmpp:sm:3" id="abc"/>')), true);
+    },
+    tests: [
+      {
+        desc: 'counts inbound stanzas and answers ack requests',
+        run: function (env, test) {
+          test.assertAnd(env.sm.handle(env.ltx.parse('<message from="a@b.c"><body>hi</body></message>')), false);
+          test.assertAnd(env.sm.handle(env.ltx.parse('<r xmlns="urn:xmpp:sm:3"/>')), true);
+          const ack = env.sent[env.sent.length - 1];
+          test.assertAnd(ack.is('a', 'urn:xmpp:sm:3'), true);
+          test.assert(ack.attrs.h, '1');
+        }
+      },
+
+      {
+        desc: 'tagged stanzas are kept until acknowledged',
+        run: function (env, test) {
+          env.sm.context({ job: 'one' }, function () {
+            env.conn.send(new env.Element('message', { to: 'x@y.z' }));
+          });
+          env.sm.context({ job: 'two' }, function () {
+            env.conn.send(new env.Element('message', { to: 'x@y.z' }));
+          });
+          // the ack request follows the stanza it covers
+          test.assertAnd(env.sent[env.sent.length - 2].is('message'), true);
+          test.assertAnd(env.sent[env.sent.length - 1].is('r', 'urn:xmpp:sm:3'), true);
+          env.sm.handle(env.ltx.parse('<a xmlns="urn:xmpp:sm:3" h="1"/>'));
+          const unacked = env.sm.takeUnacked();
+          test.assertAnd(unacked.length, 1);
+          test.assertAnd(unacked[0].meta.job, 'two');
+          test.assert(env.sm.takeUnacked().length, 0);
+        }
+      },
+
+      {
+        desc: 'the previous stream is resumed instead of binding a new resource',
+        run: function (env, test) {
+          const sm = new env.StreamManagement(env.Element);
+          const old = { send: function () {} };
+          sm.enable(old);
+          sm.handle(env.ltx.parse('<enabled xmlns="urn:xmpp:sm:3" id="prev" resume="true"/>'));
+          sm.handle(env.ltx.parse('<message from="a@b.c"><body>hi</body></message>'));
+          sm.context({ job: 'one' }, function () { old.send(new env.Element('message', { id: 'one' })); });
+          sm.context({ job: 'two' }, function () { old.send(new env.Element('message', { id: 'two' })); });
+          test.assertAnd(sm.resumable(), true);
+
+          const sent = [];
+          const calls = [];
+          const conn = {
+            streamFeatures: env.ltx.parse('<stream:features xmlns:stream="http://etherx.jabber.org/streams">' +
+              '<bind xmlns="urn:ietf:params:xml:ns:xmpp-bind"/><sm xmlns="urn:xmpp:sm:3"/></stream:features>'),
+            send: function (stanza) { sent.push(stanza); },
+            useFeatures: function () { calls.push((this.did_bind) ? 'online' : 'bind'); },
+            _handleStanza: function (stanza) { calls.push(stanza.name); }
+          };
+          sm.resume(conn);
+          conn.useFeatures();
+          test.assertAnd(sent[0].is('resume', 'urn:xmpp:sm:3'), true);
+          test.assertAnd(sent[0].attrs, { xmlns: 'urn:xmpp:sm:3', h: '1', previd: 'prev' });
+          conn._handleStanza(env.ltx.parse('<resumed xmlns="urn:xmpp:sm:3" h="1" previd="prev"/>'));
+          test.assertAnd(calls, ['online']);
+          test.assertAnd(sm.resumed, true);
+          // only the message the server didn't get is sent again, followed by an ack request
+          test.assertAnd(sent.length, 3);
+          test.assertAnd(sent[1].attrs.id, 'two');
+          test.assertAnd(sent[2].is('r', 'urn:xmpp:sm:3'), true);
+          sm.handle(env.ltx.parse('<a xmlns="urn:xmpp:sm:3" h="2"/>'));
+          test.assert(sm.takeUnacked().length, 0);
+        }
+      },
+
+      {
+        desc: 'a stream which can no longer be resumed gets a new resource',
+        run: function (env, test) {
+          const sm = new env.StreamManagement(env.Element);
+          const old = { send: function () {} };
+          sm.enable(old);
+          sm.handle(env.ltx.parse('<enabled xmlns="urn:xmpp:sm:3" id="prev" resume="1"/>'));
+          sm.context({ job: 'one' }, function () { old.send(new env.Element('message', { id: 'one' })); });
+
+          const calls = [];
+          const conn = {
+            streamFeatures: env.ltx.parse('<stream:features xmlns:stream="http://etherx.jabber.org/streams">' +
+              '<bind xmlns="urn:ietf:params:xml:ns:xmpp-bind"/><sm xmlns="urn:xmpp:sm:3"/></stream:features>'),
+            send: function () {},
+            useFeatures: function () { calls.push('bind'); },
+            _handleStanza: function (stanza) { calls.push(stanza.name); }
+          };
+          sm.resume(conn);
+          conn.useFeatures();
+          conn._handleStanza(env.ltx.parse('<failed xmlns="urn:xmpp:sm:3"><item-not-found xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></failed>'));
+          conn._handleStanza(env.ltx.parse('<iq type="result" id="bind"/>'));
+          test.assertAnd(calls, ['bind', 'iq']);
+          test.assertAnd(sm.resumed, false);
+          test.assertAnd(sm.resumable(), false);
+          const unacked = sm.takeUnacked();
+          test.assertAnd(unacked.length, 1);
+          test.assert(unacked[0].stanza.attrs.id, 'one');
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
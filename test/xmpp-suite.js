@@ -192,7 +192,7 @@ define(['require'], function (require) {
 
       // types
       env.types = env.schema.messages.properties['@type'].enum;
-      test.assertAnd(env.types.sort(), [ 'update', 'make-friend', 'send', 'remove-friend', 'request-friend', 'join', 'connect', 'observe' ].sort());
+      test.assertAnd(env.types.sort(), [ 'update', 'make-friend', 'send', 'remove-friend', 'request-friend', 'join', 'connect', 'observe', 'delete', 'react', 'leave', 'configure', 'invite', 'decline', 'add' ].sort());
 
       test.assertTypeAnd(env.xmpp, 'object');
       test.assertType(env.xmpp.connect, 'function');
@@ -227,10 +227,23 @@ define(['require'], function (require) {
       {
         desc: "# join",
         run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            if (stanza.is('iq')) {
+              return; // bookmarks being loaded, once connected
+            }
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.is('presence'), true);
+            test.assertAnd(stanza.getChild('x', 'http://jabber.org/protocol/muc').children.length, 0);
+          });
           env.platform.join(env.job.join, env.credentials, function (err, result) {
             test.assertTypeAnd(err, 'undefined', err);
             test.assertTypeAnd(result, 'undefined');
-            test.assert(env.xmpp.join.numCalled, 1);
+            const room = env.platform.__getConnection(env.actor['@id']).rooms['partyroom@jabber.net'];
+            test.assertAnd(room.nick, 'testingham');
+            test.assertTypeAnd(room.password, 'undefined');
+            test.assertTypeAnd(room.configuration, 'undefined');
+            test.assert(room.occupants, {});
           });
         }
       },
@@ -238,23 +251,54 @@ define(['require'], function (require) {
       {
         desc: "# join - sets the proper target",
         run: function (env, test) {
-          const originalJoin = env.xmpp.join;
-          env.xmpp.join = new test.Stub(function (target) {
-            test.assert(target, 'partyroom@jabber.net/testingham');
-            env.xmpp.join = originalJoin;
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assert(stanza.attrs.to, 'partyroom@jabber.net/testingham');
           });
 
           env.platform.join(env.job.join);
         }
       },
 
+      {
+        desc: "# join with password and history limits",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const x = stanza.getChild('x', 'http://jabber.org/protocol/muc');
+            test.assertAnd(x.getChildText('password'), 'open sesame');
+            test.assert(x.getChild('history').attrs, { maxstanzas: '20', since: '1970-01-01T00:00:00.000Z' });
+          });
+          env.platform.join({
+            actor: env.actor,
+            object: { '@type': 'join', password: 'open sesame', history: { maxstanzas: 20, since: 0 } },
+            target: env.target.partyroom
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# join with invalid history limits",
+        run: function (env, test) {
+          env.platform.join({
+            actor: env.actor,
+            object: { '@type': 'join', history: { maxstanzas: 'lots' } },
+            target: env.target.partyroom
+          }, env.credentials, function (err) {
+            test.assert(err, 'invalid history maxstanzas: lots');
+          });
+        }
+      },
+
       {
         desc: "# send chat 1",
         run: function (env, test) {
           env.platform.send(env.job.send.chat, env.credentials, function (err, result) {
             test.assertTypeAnd(err, 'undefined', err);
             test.assertTypeAnd(result, 'undefined');
-            test.assert(env.xmpp.send.numCalled, 1);
+            test.assert(env.xmpp.conn.send.numCalled, 1);
           });
         }
       },
@@ -264,18 +308,37 @@ define(['require'], function (require) {
           env.platform.send(env.job.send.chat, env.credentials, function (err, result) {
             test.assertTypeAnd(err, 'undefined', err);
             test.assertTypeAnd(result, 'undefined');
-            test.assert(env.xmpp.send.numCalled, 2);
+            test.assert(env.xmpp.conn.send.numCalled, 2);
           });
         }
       },
       {
         desc: "# send groupchat 1",
         run: function (env, test) {
-          env.platform.send(env.job.send.groupchat, env.credentials3, function (err, result) {
+          env.platform.send(env.job.send.groupchat, env.credentials, function (err, result) {
             test.assertTypeAnd(err, 'undefined', err);
             test.assertTypeAnd(result, 'undefined');
-            test.assert(env.xmpp.send.numCalled, 3);
+            test.assert(env.xmpp.conn.send.numCalled, 3);
+          });
+        }
+      },
+      {
+        desc: "# send chat requests a receipt and keeps the message @id",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.attrs.type, 'chat');
+            test.assertAnd(stanza.attrs.id, 'message-1');
+            test.assertAnd(stanza.getChild('origin-id', 'urn:xmpp:sid:0').attrs.id, 'message-1');
+            test.assertAnd(stanza.getChildText('body'), 'hello');
+            test.assert(Boolean(stanza.getChild('request', 'urn:xmpp:receipts')), true);
           });
+          env.platform.send({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'message', '@id': 'message-1', content: 'hello' }
+          }, env.credentials, function () {});
         }
       },
       {
@@ -285,6 +348,30 @@ define(['require'], function (require) {
         }
       },
 
+      {
+        desc: "# leave",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.attrs, { to: 'partyroom@jabber.net/testingham', type: 'unavailable' });
+            test.assertAnd(stanza.getChildText('status'), 'off to bed');
+          });
+          env.platform.leave({
+            actor: env.actor,
+            object: { '@type': 'message', content: 'off to bed' },
+            target: env.target.partyroom
+          }, env.credentials, function (err) {
+            test.assertTypeAnd(err, 'undefined', err);
+            test.assertTypeAnd(env.platform.__getConnection(env.actor['@id']).rooms['partyroom@jabber.net'], 'undefined');
+            // back in for the tests that follow
+            env.platform.join(env.job.join, env.credentials, function () {
+              test.done();
+            });
+          });
+        }
+      },
+
       {
         desc: "# update presence",
         run: function (env, test) {
@@ -296,6 +383,100 @@ define(['require'], function (require) {
         }
       },
 
+      {
+        desc: "# update chatstate",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net');
+            test.assertAnd(stanza.attrs.type, 'groupchat');
+            test.assertAnd(Boolean(stanza.getChild('composing', 'http://jabber.org/protocol/chatstates')), true);
+          });
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'chatstate', chatstate: 'composing' }
+          }, env.credentials, function (err, result) {
+            test.assertTypeAnd(err, 'undefined', err);
+            test.assert(env.xmpp.conn.send, originalSend);
+          });
+        }
+      },
+
+      {
+        desc: "# update message sends a correction",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.getChildText('body'), 'hello again');
+            test.assertAnd(stanza.attrs.id !== 'message-1', true);
+            test.assert(stanza.getChild('replace', 'urn:xmpp:message-correct:0').attrs.id, 'message-1');
+          });
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'message', '@id': 'message-1', content: 'hello again' }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# corrections in rooms refer to the message by the id we sent it with",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const received = [];
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          env.xmpp.triggerEvent('stanza', ltx.parse('<message from="partyroom@jabber.net/homer" to="testingham@jabber.net/home" type="groupchat" id="m1"><body>mmm donuts</body><origin-id xmlns="urn:xmpp:sid:0" id="o1"/><stanza-id xmlns="urn:xmpp:sid:0" by="partyroom@jabber.net" id="S-99"/></message>'));
+          env.xmpp.triggerEvent('stanza', ltx.parse('<message from="partyroom@jabber.net/homer" to="testingham@jabber.net/home" type="groupchat" id="m2"><body>mmm doughnuts</body><replace xmlns="urn:xmpp:message-correct:0" id="m1"/></message>'));
+          // someone else can't correct homers message
+          env.xmpp.triggerEvent('stanza', ltx.parse('<message from="partyroom@jabber.net/bart" to="testingham@jabber.net/home" type="groupchat" id="b2"><body>eat my shorts</body><replace xmlns="urn:xmpp:message-correct:0" id="o1"/></message>'));
+          test.assertAnd(received[0].object['@id'], 'S-99');
+          test.assertAnd(received[1]['@type'], 'update');
+          test.assertAnd(received[1].object['@id'], 'S-99');
+          test.assert(received[2].object['@id'], 'o1');
+        }
+      },
+
+      {
+        desc: "# correcting our own message in a room refers to it by the id we sent it with",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.object['@id'], 'S-100');
+          };
+          // the room echoes our message with its stanza-id, which is what the client knows it by
+          env.xmpp.triggerEvent('stanza', ltx.parse('<message from="partyroom@jabber.net/testingham" to="testingham@jabber.net/home" type="groupchat" id="t1"><body>free donuts</body><origin-id xmlns="urn:xmpp:sid:0" id="t1"/><stanza-id xmlns="urn:xmpp:sid:0" by="partyroom@jabber.net" id="S-100"/></message>'));
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.attrs.type, 'groupchat');
+            test.assert(stanza.getChild('replace', 'urn:xmpp:message-correct:0').attrs.id, 't1');
+          });
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'message', '@id': 'S-100', content: 'free doughnuts' }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# update chatstate with unknown state",
+        run: function (env, test) {
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'chatstate', chatstate: 'sleeping' }
+          }, env.credentials, function (err, result) {
+            test.assert(err, 'unknown chat state: sleeping');
+          });
+        }
+      },
+
       // {
       //   desc: "# send with second credentials",
       //   run: function (env, test) {
@@ -309,25 +490,1261 @@ define(['require'], function (require) {
       // },
 
       {
-        desc: "# observe",
+        desc: "# observe asks a room we haven't joined who's there",
         run: function (env, test) {
+          const ltx = require('ltx');
           const originalSend = env.xmpp.conn.send;
-          let count = 0;
           env.xmpp.conn.send = new test.Stub(function(stanza) {
             test.assertAnd(stanza.is('iq'), true);
-            test.assertAnd(stanza.attrs.id, 'muc_id');
+            test.assertTypeAnd(stanza.attrs.id, 'string');
             test.assertAnd(stanza.attrs.from, 'testingham@jabber.net');
+            test.assertAnd(stanza.attrs.to, 'otherroom@jabber.net');
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" to="testingham@jabber.net" from="otherroom@jabber.net"><query xmlns="http://jabber.org/protocol/disco#items"><item jid="otherroom@jabber.net/bert" name="bert"/></query></iq>'));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.object, { '@type': 'attendance', members: [ 'bert' ] });
+          };
+
+          env.platform.observe({
+            actor: env.actor,
+            target: { '@type': 'room', '@id': 'otherroom@jabber.net' },
+            object: { '@type': 'attendance' }
+          }, env.credentials, function (err, result) {
+            env.xmpp.conn.send = originalSend;
+            test.assertTypeAnd(err, 'undefined', err);
+            test.assert(result, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# observe failure is reported on the job",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function(stanza) {
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="error" id="' + stanza.attrs.id + '" from="otherroom@jabber.net"><error type="cancel"><item-not-found xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error></iq>'));
+            }, 0);
+          });
+
+          env.platform.observe({
+            actor: env.actor,
+            target: { '@type': 'room', '@id': 'otherroom@jabber.net' },
+            object: { '@type': 'attendance' }
+          }, env.credentials, function (err) {
+            env.xmpp.conn.send = originalSend;
+            test.assert(err, 'failed to get attendance of otherroom@jabber.net: item-not-found');
+          });
+        }
+      },
+
+      {
+        desc: "# observe history",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const query = stanza.getChild('query', 'urn:xmpp:mam:2');
+            const fields = query.getChild('x', 'jabber:x:data').getChildren('field');
+            const set = query.getChild('set', 'http://jabber.org/protocol/rsm');
+            test.assertAnd(stanza.attrs.type, 'set');
+            test.assertAnd(stanza.attrs.id, 'history-1');
+            test.assertAnd(stanza.attrs.to, undefined);
+            test.assertAnd(query.attrs.queryid, 'history-1');
+            test.assertAnd(fields[1].attrs.var, 'with');
+            test.assertAnd(fields[1].getChildText('value'), 'mrfoobar@jabber.net');
+            test.assertAnd(set.getChildText('max'), '10');
+            test.assert(set.getChildText('before'), '');
+          });
+          env.platform.observe({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'history', '@id': 'history-1', max: 10, before: '' }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# history only accepts results for our query, from the archive queried",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const received = [];
+          const originalSend = env.xmpp.conn.send;
+          const result = function (from, queryid, body) {
+            return '<message from="' + from + '"><result xmlns="urn:xmpp:mam:2" queryid="' + queryid + '" id="' + body + '">' +
+              '<forwarded xmlns="urn:xmpp:forward:0"><delay xmlns="urn:xmpp:delay" stamp="2010-07-10T23:08:25Z"/>' +
+              '<message from="boss@jabber.net/office" to="testingham@jabber.net/home" type="chat"><body>' + body + '</body></message>' +
+              '</forwarded></result></message>';
+          };
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse(result('mallory@evil.org', 'history-2', 'spoofed')));
+              env.xmpp.triggerEvent('stanza', ltx.parse(result('testingham@jabber.net', 'history-3', 'other query')));
+              env.xmpp.triggerEvent('stanza', ltx.parse(result('testingham@jabber.net', 'history-2', 'genuine')));
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="testingham@jabber.net"><fin xmlns="urn:xmpp:mam:2" complete="true"/></iq>'));
+            }, 0);
+          });
+          env.platform.observe({
+            actor: env.actor,
+            target: { '@type': 'person', '@id': 'boss@jabber.net' },
+            object: { '@type': 'history', '@id': 'history-2' }
+          }, env.credentials, function (err) {
+            env.xmpp.conn.send = originalSend;
+            test.assertTypeAnd(err, 'undefined', err);
+            test.assertAnd(received.length, 2);
+            test.assertAnd(received[0].object.content, 'genuine');
+            test.assert(received[1].object['@type'], 'history');
+          });
+        }
+      },
+
+      {
+        desc: "# delete moderates a room message",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const moderate = stanza.getChild('moderate', 'urn:xmpp:message-moderate:1');
+            test.assertAnd(stanza.is('iq'), true);
             test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net');
+            test.assertAnd(moderate.attrs.id, 'stanza-1');
+            test.assertAnd(Boolean(moderate.getChild('retract', 'urn:xmpp:message-retract:1')), true);
+            test.assert(moderate.getChildText('reason'), 'spam');
+          });
+          env.platform.delete({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'message', '@id': 'stanza-1', moderate: true, reason: 'spam' }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# react",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const reactions = stanza.getChild('reactions', 'urn:xmpp:reactions:0');
+            test.assertAnd(stanza.attrs.type, 'chat');
+            test.assertAnd(reactions.attrs.id, 'message-1');
+            test.assert(reactions.getChildren('reaction').map(function (r) { return r.getText(); }), ['👍']);
+          });
+          env.platform.react({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'message', '@id': 'message-1', reactions: ['👍'] }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# send reply",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const reply = stanza.getChild('reply', 'urn:xmpp:reply:0');
+            test.assertAnd(reply.attrs.id, 'message-1');
+            test.assert(reply.attrs.to, 'mrfoobar@jabber.net/home');
+          });
+          env.platform.send({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: {
+              '@type': 'message',
+              content: 'yes',
+              inReplyTo: { '@id': 'message-1', actor: { '@id': 'mrfoobar@jabber.net/home' } }
+            }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# send private message to a room occupant",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
             env.xmpp.conn.send = originalSend;
-            count++;
-            if (count === 2) { test.done(); }
+            test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net/homer');
+            test.assertAnd(stanza.attrs.type, 'chat');
+            test.assert(Boolean(stanza.getChild('x', 'http://jabber.org/protocol/muc#user')), true);
           });
+          env.platform.send({
+            actor: env.actor,
+            target: { '@id': 'partyroom@jabber.net/homer', '@type': 'person' },
+            object: { '@type': 'message', content: 'psst' }
+          }, env.credentials, function () {});
+        }
+      },
 
-          env.platform.observe(env.job.observe, env.credentials2, function (err, result) {
+      {
+        desc: "# delete requires a message @id",
+        run: function (env, test) {
+          env.platform.delete({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'message' }
+          }, env.credentials, function (err) {
+            test.assert(err, 'delete requires a message object with an @id');
+          });
+        }
+      },
+
+      {
+        desc: "# send attachment uploads the data and sends its url",
+        run: function (env, test) {
+          const http = require('http');
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          let uploaded;
+          const server = http.createServer(function (req, res) {
+            let body = '';
+            req.on('data', function (chunk) { body += chunk; });
+            req.on('end', function () {
+              uploaded = { method: req.method, url: req.url, body: body, auth: req.headers.authorization,
+                           host: req.headers.host.split(':')[0] };
+              res.writeHead(201, { Connection: 'close' });
+              res.end();
+            });
+          });
+
+          function reply(xml) {
+            setTimeout(function () { env.xmpp.triggerEvent('stanza', ltx.parse(xml)); }, 0);
+          }
+
+          server.listen(0, '127.0.0.1', function () {
+            const put = 'http://127.0.0.1:' + server.address().port + '/a1b2/donut.txt';
+            const get = 'https://upload.jabber.net/a1b2/donut.txt';
+            env.xmpp.conn.send = new test.Stub(function (stanza) {
+              const id = stanza.attrs.id;
+              if (stanza.getChild('query', 'http://jabber.org/protocol/disco#items')) {
+                test.assertAnd(stanza.attrs.to, 'jabber.net');
+                reply('<iq type="result" id="' + id + '" from="jabber.net"><query xmlns="http://jabber.org/protocol/disco#items"><item jid="conference.jabber.net"/><item jid="upload.jabber.net"/></query></iq>');
+              } else if ((stanza.getChild('query', 'http://jabber.org/protocol/disco#info')) && (stanza.attrs.to === 'conference.jabber.net')) {
+                reply('<iq type="result" id="' + id + '" from="conference.jabber.net"><query xmlns="http://jabber.org/protocol/disco#info"><identity category="conference" type="text"/><feature var="http://jabber.org/protocol/muc"/></query></iq>');
+              } else if (stanza.getChild('query', 'http://jabber.org/protocol/disco#info')) {
+                reply('<iq type="result" id="' + id + '" from="upload.jabber.net"><query xmlns="http://jabber.org/protocol/disco#info"><identity category="store" type="file"/><feature var="urn:xmpp:http:upload:0"/><x type="result" xmlns="jabber:x:data"><field var="FORM_TYPE" type="hidden"><value>urn:xmpp:http:upload:0</value></field><field var="max-file-size"><value>5242880</value></field></x></query></iq>');
+              } else if (stanza.getChild('request', 'urn:xmpp:http:upload:0')) {
+                const request = stanza.getChild('request', 'urn:xmpp:http:upload:0');
+                test.assertAnd(request.attrs, { xmlns: 'urn:xmpp:http:upload:0', filename: 'donut.txt', size: '5', 'content-type': 'text/plain' });
+                reply('<iq type="result" id="' + id + '" from="upload.jabber.net"><slot xmlns="urn:xmpp:http:upload:0"><put url="' + put + '"><header name="Authorization">Basic Zm9vOmJhcg==</header><header name="Host">elsewhere.example</header></put><get url="' + get + '"/></slot></iq>');
+              } else if (stanza.is('message')) {
+                env.xmpp.conn.send = originalSend;
+                server.close();
+                test.assertAnd(uploaded, { method: 'PUT', url: '/a1b2/donut.txt', body: 'sweet', auth: 'Basic Zm9vOmJhcg==', host: '127.0.0.1' });
+                test.assertAnd(stanza.getChildText('body'), get);
+                test.assertAnd(stanza.getChild('file-sharing', 'urn:xmpp:sfs:0').getChild('file', 'urn:xmpp:file:metadata:0').getChildText('size'), '5');
+                test.assert(stanza.getChild('x', 'jabber:x:oob').getChildText('url'), get);
+              }
+            });
+            env.platform.send({
+              actor: env.actor,
+              target: env.target.mrfoobar,
+              object: {
+                '@type': 'attachment',
+                name: 'donut.txt',
+                mediaType: 'text/plain',
+                data: Buffer.from('sweet').toString('base64')
+              }
+            }, env.credentials, function (err) {
+              if (err) {
+                env.xmpp.conn.send = originalSend;
+                server.close();
+                test.result(false, err);
+              }
+            });
+          });
+        }
+      },
+
+      {
+        desc: "# uploads which stall are given up on",
+        run: function (env, test) {
+          const http = require('http');
+          const server = http.createServer(function () {});
+          env.platform.__cfg.upload = { timeout: 50 };
+          server.listen(0, '127.0.0.1', function () {
+            const slot = { put: 'http://127.0.0.1:' + server.address().port + '/a1b2/donut.txt', headers: {} };
+            env.platform.__upload(slot, Buffer.from('sweet'), 'text/plain', function (err) {
+              delete env.platform.__cfg.upload;
+              server.close();
+              test.assert(err, 'upload failed: no progress in 50ms');
+            });
+          });
+        }
+      },
+
+      {
+        desc: "# update role kicks an occupant",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const item = stanza.getChild('query', 'http://jabber.org/protocol/muc#admin').getChild('item');
+            test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net');
+            test.assertAnd(item.attrs, { nick: 'homer', role: 'none' });
+            test.assertAnd(item.getChildText('reason'), 'donuts');
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="partyroom@jabber.net"/>'));
+            }, 0);
+          });
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'role', nick: 'homer', role: 'none', reason: 'donuts' }
+          }, env.credentials, function (err) {
+            test.assertType(err, 'undefined', err);
+          });
+        }
+      },
+
+      {
+        desc: "# update affiliation reports the rooms refusal",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="error" id="' + stanza.attrs.id + '" from="partyroom@jabber.net"><error type="auth"><forbidden xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error></iq>'));
+            }, 0);
+          });
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'affiliation', jid: 'homer@jabber.net', affiliation: 'outcast' }
+          }, env.credentials, function (err) {
+            test.assert(err, 'changing affiliation of homer@jabber.net failed: forbidden');
+          });
+        }
+      },
+
+      {
+        desc: "# observe affiliations",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.getChild('query', 'http://jabber.org/protocol/muc#admin').getChild('item').attrs,
+                { affiliation: 'outcast' });
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="partyroom@jabber.net"><query xmlns="http://jabber.org/protocol/muc#admin"><item affiliation="outcast" jid="homer@jabber.net"><reason>donuts</reason></item></query></iq>'));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.object, {
+              '@type': 'affiliations',
+              affiliation: 'outcast',
+              members: [ { jid: 'homer@jabber.net', reason: 'donuts' } ]
+            });
+          };
+          env.platform.observe({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'affiliations', affiliation: 'outcast' }
+          }, env.credentials, function (err) {
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# voice granted to an occupant is an update on the room",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const presence = '<presence from="partyroom@jabber.net/homer" to="testingham@jabber.net/home"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="none" role="ROLE"/></x></presence>';
+          const received = [];
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          env.xmpp.triggerEvent('stanza', ltx.parse(presence.replace('ROLE', 'visitor')));
+          env.xmpp.triggerEvent('stanza', ltx.parse(presence.replace('ROLE', 'participant')));
+          test.assertAnd(received[0]['@type'], 'join');
+          test.assert(received[1].object, { '@type': 'role', nick: 'homer', role: 'participant' });
+        }
+      },
+
+      {
+        desc: "# occupants coming and going are joins and leaves, attendance is served from them",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const received = [];
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          const attendance = function () {
+            const observed = received.filter(function (msg) { return msg['@type'] === 'observe'; }).pop();
+            return observed.object.occupants.filter(function (occupant) { return occupant.nick === 'marge'; });
+          };
+          const originalSend = env.xmpp.conn.send;
+          const send = new test.Stub(function () {});
+          env.xmpp.conn.send = send;
+          env.xmpp.triggerEvent('stanza', ltx.parse('<presence from="partyroom@jabber.net/marge" to="testingham@jabber.net/home"><show>away</show><status>baking</status><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="member" role="participant" jid="marge@jabber.net/kitchen"/></x></presence>'));
+          const marge = {
+            '@type': 'occupant',
+            nick: 'marge',
+            role: 'participant',
+            affiliation: 'member',
+            presence: 'away',
+            jid: 'marge@jabber.net/kitchen',
+            status: 'baking'
+          };
+          test.assertAnd(received[0]['@type'], 'join');
+          test.assertAnd(received[0].actor, { '@id': 'partyroom@jabber.net/marge', '@type': 'person', displayName: 'marge' });
+          test.assertAnd(received[0].object, marge);
+          env.platform.observe({ actor: env.actor, target: env.target.partyroom }, env.credentials, function (err) {
+            test.assertAnd(err, undefined);
+            test.assertAnd(attendance(), [ marge ]);
+            env.xmpp.triggerEvent('stanza', ltx.parse('<presence type="unavailable" from="partyroom@jabber.net/marge" to="testingham@jabber.net/home"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="member" role="none"/></x></presence>'));
+            test.assertAnd(received[2]['@type'], 'leave');
+            test.assertAnd(received[2].actor['@id'], 'partyroom@jabber.net/marge');
+            env.platform.observe({ actor: env.actor, target: env.target.partyroom }, env.credentials, function (err) {
+              env.xmpp.conn.send = originalSend;
+              // no need to ask the room, we know who's there
+              test.assertAnd(send.numCalled, 0);
+              test.assert(attendance(), []);
+            });
+          });
+        }
+      },
+
+      {
+        desc: "# leaving a room or failing to join one is sent once, and not as a presence update",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const received = [];
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          // like simple-xmpp, which follows every presence stanza with a buddy event of its own
+          const presence = function (xml) {
+            const stanza = ltx.parse(xml);
+            const from = stanza.attrs.from.split('/');
+            env.xmpp.triggerEvent('stanza', stanza);
+            env.xmpp.triggerEvent('buddy', from[0], (stanza.attrs.type === 'unavailable') ? 'offline' : 'online',
+                                  stanza.getChildText('status'), from[1]);
+          };
+          presence('<presence type="unavailable" from="partyroom@jabber.net/testingham" to="testingham@jabber.net/home"><status>off to bed</status><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="member" role="none"/><status code="110"/></x></presence>');
+          test.assertAnd(received.length, 1);
+          test.assertAnd(received[0]['@type'], 'leave');
+          test.assertTypeAnd(env.platform.__getConnection(env.actor['@id']).rooms['partyroom@jabber.net'], 'undefined');
+          presence('<presence type="error" from="secret@jabber.net/testingham" to="testingham@jabber.net/home"><x xmlns="http://jabber.org/protocol/muc"/><error type="auth"><not-authorized xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error></presence>');
+          test.assertAnd(received.length, 2);
+          test.assertAnd(received[1]['@type'], 'join');
+          test.assertAnd(received[1].object['@type'], 'error');
+          // contacts presence still is
+          presence('<presence from="marge@jabber.net/kitchen" to="testingham@jabber.net/home"><show>away</show><status>baking</status></presence>');
+          test.assertAnd(received.length, 3);
+          test.assertAnd(received[2]['@type'], 'update');
+          test.assertAnd(received[2].actor, { '@id': 'marge@jabber.net' });
+          test.assertAnd(received[2].object, { '@type': 'presence', status: 'baking', presence: 'away' });
+          // back in for the tests that follow
+          env.platform.join(env.job.join, env.credentials, function (err) {
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# configure sends back the rooms configuration",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.attrs.type, 'get');
+            test.assertTypeAnd(stanza.getChild('query', 'http://jabber.org/protocol/muc#owner'), 'object');
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="partyroom@jabber.net"><query xmlns="http://jabber.org/protocol/muc#owner"><x xmlns="jabber:x:data" type="form"><field var="FORM_TYPE" type="hidden"><value>http://jabber.org/protocol/muc#roomconfig</value></field><field var="muc#roomconfig_roomname" type="text-single" label="Room name"><value>Party</value></field><field var="muc#roomconfig_persistentroom" type="boolean"><value>0</value></field><field var="muc#roomconfig_maxusers" type="list-single"><value>20</value><option label="20"><value>20</value></option><option label="50"><value>50</value></option></field></x></query></iq>'));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg['@type'], 'configure');
+            test.assertAnd([msg.object.name, msg.object.persistent, msg.object.maxUsers], ['Party', false, 20]);
+            test.assertAnd(msg.object.fields[0], { var: 'muc#roomconfig_roomname', type: 'text-single', value: 'Party', label: 'Room name' });
+            test.assertAnd(msg.object.fields[2].options, [ { label: '20', value: '20' }, { label: '50', value: '50' } ]);
+          };
+          env.platform.configure({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'configuration' }
+          }, env.credentials, function (err) {
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# configure submits changes on top of the current configuration",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            const query = stanza.getChild('query', 'http://jabber.org/protocol/muc#owner');
+            if (stanza.attrs.type === 'get') {
+              setTimeout(function () {
+                env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="partyroom@jabber.net"><query xmlns="http://jabber.org/protocol/muc#owner"><x xmlns="jabber:x:data" type="form"><field var="FORM_TYPE" type="hidden"><value>http://jabber.org/protocol/muc#roomconfig</value></field><field type="fixed"><value>Room settings</value></field><field var="muc#roomconfig_roomname" type="text-single"><value>Party</value></field><field var="muc#roomconfig_persistentroom" type="boolean"><value>0</value></field></x></query></iq>'));
+              }, 0);
+              return;
+            }
+            env.xmpp.conn.send = originalSend;
+            const values = {};
+            query.getChild('x', 'jabber:x:data').getChildren('field').forEach(function (field) {
+              values[field.attrs.var] = field.getChildText('value');
+            });
+            test.assertAnd(values, {
+              FORM_TYPE: 'http://jabber.org/protocol/muc#roomconfig',
+              'muc#roomconfig_roomname': 'Party',
+              'muc#roomconfig_persistentroom': 'true'
+            });
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="partyroom@jabber.net"/>'));
+            }, 0);
+          });
+          env.platform.configure({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'configuration', persistent: true }
+          }, env.credentials, function (err) {
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# joining creates the room and unlocks it",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const x = stanza.getChild('query', 'http://jabber.org/protocol/muc#owner').getChild('x', 'jabber:x:data');
+            test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net');
+            test.assertAnd(x.attrs.type, 'submit');
+            test.assert(x.children.length, 0);
+          });
+          env.platform.sendToClient = function () {};
+          env.xmpp.triggerEvent('stanza', ltx.parse('<presence from="partyroom@jabber.net/testingham" to="testingham@jabber.net/home"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="owner" role="moderator"/><status code="110"/><status code="201"/></x></presence>'));
+        }
+      },
+
+      {
+        desc: "# delete destroys a room",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const destroy = stanza.getChild('query', 'http://jabber.org/protocol/muc#owner').getChild('destroy');
+            test.assertAnd(destroy.attrs.jid, 'afterparty@jabber.net');
+            test.assertAnd(destroy.getChildText('reason'), 'the party is over');
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="oldroom@jabber.net"/>'));
+            }, 0);
+          });
+          env.platform.delete({
+            actor: env.actor,
+            target: { '@id': 'oldroom@jabber.net', '@type': 'room' },
+            object: { '@type': 'room', reason: 'the party is over', alternate: 'afterparty@jabber.net' }
+          }, env.credentials, function (err) {
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# update nickname in a room",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          const received = [];
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net/Frank');
+          });
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'person', displayName: 'Frank' }
+          }, env.credentials, function (err) {
             test.assertTypeAnd(err, 'undefined', err);
-            test.assertTypeAnd(result, 'undefined');
-            count++;
-            if (count === 2) { test.done(); }
+            env.xmpp.triggerEvent('stanza', ltx.parse('<presence type="unavailable" from="partyroom@jabber.net/testingham" to="testingham@jabber.net/home"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="owner" role="moderator" nick="Frank"/><status code="303"/><status code="110"/></x></presence>'));
+            env.xmpp.triggerEvent('stanza', ltx.parse('<presence from="partyroom@jabber.net/Frank" to="testingham@jabber.net/home"><x xmlns="http://jabber.org/protocol/muc#user"><item affiliation="owner" role="moderator"/><status code="110"/></x></presence>'));
+            test.assertAnd(received.length, 1);
+            test.assertAnd(received[0].object, { '@type': 'person', '@id': 'partyroom@jabber.net/Frank', displayName: 'Frank' });
+            test.assert(env.platform.__getConnection(env.actor['@id']).rooms['partyroom@jabber.net'].nick, 'Frank');
+          });
+        }
+      },
+
+      {
+        desc: "# invite directly",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(stanza.attrs.to, 'mrfoobar@jabber.net');
+            test.assert(stanza.getChild('x', 'jabber:x:conference').attrs,
+                { xmlns: 'jabber:x:conference', jid: 'partyroom@jabber.net', reason: 'donuts' });
+          });
+          env.platform.invite({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'room', '@id': 'partyroom@jabber.net', reason: 'donuts' }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# invite through the room",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const invite = stanza.getChild('x', 'http://jabber.org/protocol/muc#user').getChild('invite');
+            test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net');
+            test.assertAnd(invite.attrs.to, 'mrfoobar@jabber.net');
+            test.assert(invite.getChildText('reason'), 'donuts');
+          });
+          env.platform.invite({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'room', '@id': 'partyroom@jabber.net', reason: 'donuts', mediated: true }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# decline an invitation",
+        run: function (env, test) {
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            env.xmpp.conn.send = originalSend;
+            const decline = stanza.getChild('x', 'http://jabber.org/protocol/muc#user').getChild('decline');
+            test.assertAnd(stanza.attrs.to, 'partyroom@jabber.net');
+            test.assert(decline.attrs.to, 'mrfoobar@jabber.net');
+          });
+          env.platform.decline({
+            actor: env.actor,
+            target: env.target.mrfoobar,
+            object: { '@type': 'room', '@id': 'partyroom@jabber.net' }
+          }, env.credentials, function () {});
+        }
+      },
+
+      {
+        desc: "# add, update and delete a bookmark",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          const sent = [];
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            sent.push(stanza);
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '"/>'));
+            }, 0);
+          });
+          const job = function (type, object) {
+            return { '@type': type, actor: env.actor, target: env.target.partyroom, object: object };
+          };
+          const conference = function (stanza) {
+            const publish = stanza.getChild('pubsub', 'http://jabber.org/protocol/pubsub').getChild('publish');
+            test.assertAnd(publish.attrs.node, 'urn:xmpp:bookmarks:1');
+            test.assertAnd(publish.getChild('item').attrs.id, 'partyroom@jabber.net');
+            return publish.getChild('item').getChild('conference', 'urn:xmpp:bookmarks:1');
+          };
+          env.platform.add(job('add', { '@type': 'bookmark', name: 'The Party', nick: 'ham', autojoin: true }), env.credentials, function (err) {
+            test.assertAnd(err, undefined);
+            test.assertAnd(conference(sent[0]).attrs, { xmlns: 'urn:xmpp:bookmarks:1', autojoin: 'true', name: 'The Party' });
+            test.assertAnd(conference(sent[0]).getChildText('nick'), 'ham');
+            env.platform.update(job('update', { '@type': 'bookmark', autojoin: false }), env.credentials, function (err) {
+              test.assertAnd(err, undefined);
+              test.assertAnd(conference(sent[1]).attrs.autojoin, 'false');
+              // settings which weren't changed are kept
+              test.assertAnd(conference(sent[1]).attrs.name, 'The Party');
+              env.platform.delete(job('delete', { '@type': 'bookmark' }), env.credentials, function (err) {
+                env.xmpp.conn.send = originalSend;
+                const retract = sent[2].getChild('pubsub', 'http://jabber.org/protocol/pubsub').getChild('retract');
+                test.assertAnd(err, undefined);
+                test.assertAnd(retract.attrs, { node: 'urn:xmpp:bookmarks:1', notify: 'true' });
+                test.assert(retract.getChild('item').attrs.id, 'partyroom@jabber.net');
+              });
+            });
+          });
+        }
+      },
+
+      {
+        desc: "# update requires a known bookmark",
+        run: function (env, test) {
+          env.platform.update({
+            actor: env.actor,
+            target: env.target.partyroom,
+            object: { '@type': 'bookmark', autojoin: true }
+          }, env.credentials, function (err) {
+            test.assert(err, 'no bookmark for partyroom@jabber.net');
+          });
+        }
+      },
+
+      {
+        desc: "# observe bookmarks falls back to legacy bookmarks",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            const node = stanza.getChild('pubsub', 'http://jabber.org/protocol/pubsub').getChild('items').attrs.node;
+            const response = (node === 'urn:xmpp:bookmarks:1') ?
+              '<iq type="error" id="' + stanza.attrs.id + '"><error type="cancel"><item-not-found xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error></iq>' :
+              '<iq type="result" id="' + stanza.attrs.id + '"><pubsub xmlns="http://jabber.org/protocol/pubsub"><items node="storage:bookmarks"><item id="current"><storage xmlns="storage:bookmarks"><conference jid="partyroom@jabber.net" autojoin="true"><nick>ham</nick></conference></storage></item></items></pubsub></iq>';
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse(response));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.object, {
+              '@type': 'bookmarks',
+              bookmarks: [ { '@type': 'bookmark', '@id': 'partyroom@jabber.net', autojoin: true, nick: 'ham' } ]
+            });
+          };
+          env.platform.observe({
+            actor: env.actor,
+            target: env.actor,
+            object: { '@type': 'bookmarks' }
+          }, env.credentials, function (err) {
+            env.xmpp.conn.send = originalSend;
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# bookmarks are loaded on connect and autojoin rooms joined",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const create = env.xmpp.SimpleXMPP;
+          const sent = [];
+          const received = [];
+          env.xmpp.SimpleXMPP = function () {
+            const client = create();
+            client.conn.send = new test.Stub(function (stanza) {
+              sent.push(stanza);
+              const pubsub = stanza.getChild('pubsub', 'http://jabber.org/protocol/pubsub');
+              if (!pubsub) {
+                return;
+              }
+              setTimeout(function () {
+                client.triggerEvent('stanza', ltx.parse((pubsub.getChild('items')) ?
+                  '<iq type="result" id="' + stanza.attrs.id + '"><pubsub xmlns="http://jabber.org/protocol/pubsub"><items node="urn:xmpp:bookmarks:1">' +
+                  '<item id="partyroom@jabber.net"><conference xmlns="urn:xmpp:bookmarks:1" autojoin="true"><nick>bacon</nick></conference></item>' +
+                  '<item id="quietroom@jabber.net"><conference xmlns="urn:xmpp:bookmarks:1" autojoin="false"/></item>' +
+                  '</items></pubsub></iq>' :
+                  '<iq type="result" id="' + stanza.attrs.id + '"/>'));
+              }, 0);
+            });
+            return client;
+          };
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          const credentials = {
+            actor: { '@type': 'person', '@id': 'testingbacon@jabber.net' },
+            object: { '@type': 'credentials', username: 'testingbacon', server: 'jabber.net', password: 'foobar', resource: 'home' }
+          };
+          env.platform.connect({ actor: credentials.actor }, credentials, function (err) {
+            env.xmpp.SimpleXMPP = create;
+            test.assertTypeAnd(err, 'undefined', err);
+            setTimeout(function () {
+              const connection = env.platform.__getConnection(credentials.actor['@id']);
+              const presences = sent.filter(function (stanza) { return stanza.is('presence'); });
+              connection.disconnect();
+              test.assertTypeAnd(env.platform.__getConnection(credentials.actor['@id']), 'undefined');
+              test.assertAnd(received[0].object['@type'], 'bookmarks');
+              test.assertAnd(received[0].object.bookmarks.length, 2);
+              test.assertAnd(presences.length, 1);
+              test.assertAnd(presences[0].attrs.to, 'partyroom@jabber.net/bacon');
+              test.assert(Object.keys(connection.rooms), [ 'partyroom@jabber.net' ]);
+            }, 10);
+          });
+        }
+      },
+
+      {
+        desc: "# with OMEMO, private messages are encrypted and incoming ones decrypted",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const Omemo = require('./../lib/omemo');
+          const NS = require('./../lib/namespaces');
+          const create = env.xmpp.SimpleXMPP;
+          // published pubsub items by owner and node
+          const pep = {};
+          const sent = [];
+          const received = [];
+          let client;
+          function items(jid, node) {
+            const item = pep[jid + ' ' + node];
+            return '<pubsub xmlns="' + NS.PUBSUB + '"><items node="' + node + '">' +
+                   ((item) ? item.toString() : '') + '</items></pubsub>';
+          }
+          env.xmpp.SimpleXMPP = function () {
+            client = create();
+            client.conn.send = new test.Stub(function (stanza) {
+              sent.push(stanza);
+              const pubsub = stanza.getChild('pubsub', NS.PUBSUB);
+              if (!pubsub) {
+                return;
+              }
+              const publish = pubsub.getChild('publish');
+              if (publish) {
+                pep['bacon@jabber.net ' + publish.attrs.node] = publish.getChild('item');
+              }
+              const to = stanza.attrs.to || 'bacon@jabber.net';
+              setTimeout(function () {
+                client.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '"' +
+                  ((stanza.attrs.to) ? ' from="' + stanza.attrs.to + '"' : '') + '>' +
+                  ((publish) ? '' : items(to, pubsub.getChild('items').attrs.node)) + '</iq>'));
+              }, 0);
+            });
+            return client;
+          };
+          const homer = new Omemo({
+            fullJid: 'homer@jabber.net/Home',
+            actor: { '@id': 'homer@jabber.net/Home' },
+            Element: env.xmpp.Element,
+            debug: function () {},
+            sendToClient: function () {},
+            sendIq: function (stanza, cb) {
+              const pubsub = stanza.getChild('pubsub', NS.PUBSUB);
+              const publish = pubsub.getChild('publish');
+              if (publish) {
+                pep['homer@jabber.net ' + publish.attrs.node] = publish.getChild('item');
+              }
+              setTimeout(function () {
+                cb(undefined, ltx.parse('<iq type="result">' +
+                  ((publish) ? '' : items(stanza.attrs.to, pubsub.getChild('items').attrs.node)) + '</iq>'));
+              }, 0);
+            }
+          });
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          const credentials = {
+            actor: { '@type': 'person', '@id': 'bacon@jabber.net' },
+            object: { '@type': 'credentials', username: 'bacon', server: 'jabber.net', password: 'foobar',
+                      resource: 'home', bookmarks: false, omemo: true }
+          };
+          const homerActor = { '@id': 'homer@jabber.net', '@type': 'person' };
+          env.platform.connect({ actor: credentials.actor }, credentials, function (err) {
+            env.xmpp.SimpleXMPP = create;
+            test.assertTypeAnd(err, 'undefined', err);
+            homer.start(function () {
+              env.platform.send({
+                actor: credentials.actor,
+                target: homerActor,
+                object: { '@type': 'message', '@id': 'omemo-1', content: 'Hello Homer' }
+              }, credentials, function (err) {
+                test.assertTypeAnd(err, 'undefined', err);
+                const message = sent.filter(function (stanza) { return stanza.is('message'); })[0];
+                test.assertAnd(message.toString().indexOf('Hello Homer'), -1);
+                test.assertAnd(message.attrs.id, 'omemo-1');
+                homer.decrypt(ltx.parse(message.toString()), function (err, plaintext) {
+                  test.assertAnd(plaintext, 'Hello Homer');
+                  test.assertAnd(received[0].object['@type'], 'device');
+                  test.assertAnd(received[0].object.trust, 'undecided');
+                  const reply = new env.xmpp.Element('message', { from: 'homer@jabber.net/Home', to: 'bacon@jabber.net/home',
+                                                                  type: 'chat', id: 'homer-1' });
+                  reply.c('body').t('Hi Bacon');
+                  homer.encrypt(reply, function () {
+                    client.triggerEvent('stanza', ltx.parse(reply.toString()));
+                    setTimeout(function () {
+                      const chat = received[received.length - 1];
+                      test.assertAnd(chat['@type'], 'send');
+                      test.assertAnd(chat.actor['@id'], 'homer@jabber.net');
+                      test.assertAnd(chat.object.content, 'Hi Bacon');
+                      test.assertAnd(chat.object.encryption, 'OMEMO');
+                      env.platform.update({
+                        actor: credentials.actor,
+                        target: homerActor,
+                        object: { '@type': 'device', '@id': String(homer.state.deviceId), trust: 'untrusted' }
+                      }, credentials, function (err) {
+                        test.assertTypeAnd(err, 'undefined', err);
+                        test.assertAnd(received[received.length - 1].object.trust, 'untrusted');
+                        env.platform.send({
+                          actor: credentials.actor,
+                          target: homerActor,
+                          object: { '@type': 'message', content: 'Psst' }
+                        }, credentials, function (err) {
+                          test.assertAnd(err, 'no trusted OMEMO devices of homer@jabber.net to encrypt for');
+                          env.platform.observe({
+                            actor: credentials.actor,
+                            target: homerActor,
+                            object: { '@type': 'devices' }
+                          }, credentials, function (err) {
+                            const observed = received[received.length - 1];
+                            env.platform.__getConnection(credentials.actor['@id']).disconnect();
+                            test.assertTypeAnd(env.platform.__getConnection(credentials.actor['@id']), 'undefined');
+                            test.assertTypeAnd(err, 'undefined', err);
+                            test.assertAnd(observed['@type'], 'observe');
+                            test.assertAnd(observed.actor, homerActor);
+                            test.assert(observed.object.devices, [ {
+                              '@type': 'device',
+                              '@id': String(homer.state.deviceId),
+                              fingerprint: Buffer.from(homer.state.identityKey.pubKey, 'base64').slice(1).toString('hex'),
+                              trust: 'untrusted'
+                            } ]);
+                          });
+                        });
+                      });
+                    }, 10);
+                  });
+                });
+              });
+            });
+          });
+        }
+      },
+
+      {
+        desc: "# update device trust requires OMEMO",
+        run: function (env, test) {
+          env.platform.update({
+            actor: env.actor,
+            target: { '@id': 'homer@jabber.net', '@type': 'person' },
+            object: { '@type': 'device', '@id': '1', trust: 'trusted' }
+          }, env.credentials, function (err) {
+            test.assert(err, 'OMEMO is not enabled for testingham@jabber.net/home');
+          });
+        }
+      },
+
+      {
+        desc: "# observe info of a service",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            test.assertAnd(stanza.attrs.to, 'jabber.net');
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" from="jabber.net" id="' + stanza.attrs.id + '">' +
+                '<query xmlns="http://jabber.org/protocol/disco#info">' +
+                '<identity category="server" type="im" name="Jabber"/>' +
+                '<feature var="http://jabber.org/protocol/disco#info"/><feature var="urn:xmpp:mam:2"/>' +
+                '<x xmlns="jabber:x:data" type="result">' +
+                '<field var="FORM_TYPE" type="hidden"><value>http://jabber.org/network/serverinfo</value></field>' +
+                '<field var="admin-addresses"><value>mailto:admin@jabber.net</value></field>' +
+                '</x></query></iq>'));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.actor, { '@id': 'jabber.net', '@type': 'service' });
+            test.assertAnd(msg.object.identities, [ { category: 'server', type: 'im', name: 'Jabber' } ]);
+            test.assertAnd(msg.object.features, [ 'http://jabber.org/protocol/disco#info', 'urn:xmpp:mam:2' ]);
+            test.assertAnd(msg.object.forms.length, 1);
+            test.assertAnd(msg.object.forms[0].formType, 'http://jabber.org/network/serverinfo');
+          };
+          env.platform.observe({
+            actor: env.actor,
+            target: { '@id': 'jabber.net', '@type': 'service' },
+            object: { '@type': 'info' }
+          }, env.credentials, function (err) {
+            env.xmpp.conn.send = originalSend;
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# observe rooms of a service, with their occupants",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            let response;
+            if (stanza.getChild('query', 'http://jabber.org/protocol/disco#items')) {
+              const set = stanza.getChild('query').getChild('set', 'http://jabber.org/protocol/rsm');
+              test.assertAnd(set.getChildText('max'), '2');
+              test.assertAnd(set.getChildText('after'), 'a@muc.jabber.net');
+              response = '<query xmlns="http://jabber.org/protocol/disco#items">' +
+                '<item jid="b@muc.jabber.net" name="Bees"/><item jid="c@muc.jabber.net"/>' +
+                '<set xmlns="http://jabber.org/protocol/rsm"><first index="1">b@muc.jabber.net</first>' +
+                '<last>c@muc.jabber.net</last><count>5</count></set></query>';
+            } else if (stanza.attrs.to === 'b@muc.jabber.net') {
+              response = '<query xmlns="http://jabber.org/protocol/disco#info">' +
+                '<identity category="conference" type="text" name="The Bees"/>' +
+                '<feature var="muc_membersonly"/>' +
+                '<x xmlns="jabber:x:data" type="result">' +
+                '<field var="FORM_TYPE" type="hidden"><value>http://jabber.org/protocol/muc#roominfo</value></field>' +
+                '<field var="muc#roominfo_description"><value>buzz</value></field>' +
+                '<field var="muc#roominfo_occupants"><value>3</value></field>' +
+                '</x></query>';
+            }
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse((response) ?
+                '<iq type="result" id="' + stanza.attrs.id + '" from="' + stanza.attrs.to + '">' + response + '</iq>' :
+                '<iq type="error" id="' + stanza.attrs.id + '" from="' + stanza.attrs.to + '"><error type="cancel"><item-not-found xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error></iq>'));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.object, {
+              '@type': 'rooms',
+              first: 'b@muc.jabber.net',
+              last: 'c@muc.jabber.net',
+              count: 5,
+              rooms: [
+                { '@type': 'room', '@id': 'b@muc.jabber.net', name: 'The Bees', description: 'buzz',
+                  occupants: 3, passwordProtected: false, membersOnly: true },
+                { '@type': 'room', '@id': 'c@muc.jabber.net' }
+              ]
+            });
+          };
+          env.platform.observe({
+            actor: env.actor,
+            target: { '@id': 'muc.jabber.net', '@type': 'service' },
+            object: { '@type': 'rooms', max: 2, after: 'a@muc.jabber.net' }
+          }, env.credentials, function (err) {
+            env.xmpp.conn.send = originalSend;
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# rooms of a service are asked for their details a few at a time, and a page at most",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          let inFlight = 0;
+          let mostInFlight = 0;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            let response = '<query xmlns="http://jabber.org/protocol/disco#info"/>';
+            if (stanza.getChild('query', 'http://jabber.org/protocol/disco#items')) {
+              test.assertAnd(stanza.getChild('query').getChild('set').getChildText('max'), '100');
+              // a service which ignores the page size
+              response = '<query xmlns="http://jabber.org/protocol/disco#items">';
+              for (let i = 0; i < 120; i++) {
+                response += '<item jid="room' + i + '@muc.jabber.net"/>';
+              }
+              response += '<set xmlns="http://jabber.org/protocol/rsm"><count>120</count></set></query>';
+            } else {
+              inFlight++;
+              mostInFlight = Math.max(mostInFlight, inFlight);
+            }
+            setTimeout(function () {
+              if (!stanza.getChild('query', 'http://jabber.org/protocol/disco#items')) {
+                inFlight--;
+              }
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="' + stanza.attrs.to + '">' + response + '</iq>'));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.object.rooms.length, 100);
+            test.assertAnd(msg.object.count, 120);
+          };
+          env.platform.observe({
+            actor: env.actor,
+            target: { '@id': 'muc.jabber.net', '@type': 'service' },
+            object: { '@type': 'rooms', max: 1000 }
+          }, env.credentials, function (err) {
+            env.xmpp.conn.send = originalSend;
+            test.assertAnd(err, undefined);
+            test.assert(mostInFlight, 5);
+          });
+        }
+      },
+
+      {
+        desc: "# search rooms of a service by name",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const originalSend = env.xmpp.conn.send;
+          env.xmpp.conn.send = new test.Stub(function (stanza) {
+            let response = '<query xmlns="http://jabber.org/protocol/disco#info"/>';
+            if (stanza.getChild('query', 'http://jabber.org/protocol/disco#items')) {
+              test.assertAnd(stanza.getChild('query').getChild('set'), undefined);
+              response = '<query xmlns="http://jabber.org/protocol/disco#items">' +
+                '<item jid="lobby@muc.jabber.net" name="Lobby"/>' +
+                '<item jid="party@muc.jabber.net" name="Party Room"/>' +
+                '<item jid="after@muc.jabber.net" name="After Party"/>' +
+                '<item jid="quiet@muc.jabber.net" name="Quiet"/></query>';
+            }
+            setTimeout(function () {
+              env.xmpp.triggerEvent('stanza', ltx.parse('<iq type="result" id="' + stanza.attrs.id + '" from="' + stanza.attrs.to + '">' + response + '</iq>'));
+            }, 0);
+          });
+          env.platform.sendToClient = function (msg) {
+            test.assertAnd(msg.object.search, 'PARTY');
+            test.assertAnd(msg.object.count, 2);
+            test.assertAnd(msg.object.rooms.map(function (room) { return room['@id']; }),
+                           [ 'after@muc.jabber.net' ]);
+          };
+          env.platform.observe({
+            actor: env.actor,
+            target: { '@id': 'muc.jabber.net', '@type': 'service' },
+            object: { '@type': 'rooms', search: 'PARTY', max: 1, after: 'party@muc.jabber.net' }
+          }, env.credentials, function (err) {
+            env.xmpp.conn.send = originalSend;
+            test.assert(err, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "# send while reconnecting is queued and replayed",
+        run: function (env, test) {
+          const sendCount = env.xmpp.conn.send.numCalled;
+          const connection = env.platform.__getConnection(env.actor['@id']);
+          env.platform.sendToClient = function () {};
+          connection.reconnect.active = true;
+          env.platform.send(env.job.send.chat, env.credentials, function (err, result) {
+            test.assertTypeAnd(err, 'undefined', err);
+            // rejoining the room, subscribing to and fetching bookmarks, then the queued message
+            test.assert(env.xmpp.conn.send.numCalled, sendCount + 4);
+          });
+          test.assertAnd(env.xmpp.conn.send.numCalled, sendCount);
+          test.assertAnd(connection.reconnect.queue.length, 1);
+          connection.__onReconnected();
+        }
+      },
+
+      {
+        desc: "# unacknowledged messages are sent again unchanged on a new stream",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const connection = env.platform.__getConnection(env.actor['@id']);
+          const originalSend = env.xmpp.conn.send;
+          const sent = [];
+          env.xmpp.conn.send = new test.Stub(function (stanza) { sent.push(stanza); });
+          env.xmpp.conn.streamFeatures = ltx.parse('<stream:features xmlns:stream="http://etherx.jabber.org/streams"><sm xmlns="urn:xmpp:sm:3"/></stream:features>');
+          env.platform.sendToClient = function () {};
+          connection.__enableStreamManagement();
+          env.xmpp.triggerEvent('stanza', ltx.parse('<enabled xmlns="urn:xmpp:sm:3" id="stream-1"/>'));
+          env.platform.send(env.job.send.chat, env.credentials, function (err) {
+            test.assertTypeAnd(err, 'undefined', err);
+            const messages = function () {
+              return sent.filter(function (stanza) { return stanza.is('message'); });
+            };
+            test.assertAnd(messages().length, 1);
+            // the stream is gone before the server acknowledged the message
+            connection.__onReconnected();
+            env.xmpp.conn.send = originalSend;
+            delete env.xmpp.conn.streamFeatures;
+            connection.streamManagement.takeUnacked();
+            test.assertAnd(messages().length, 2);
+            test.assertAnd(messages()[1] === messages()[0], true);
+            test.assert(messages()[1].attrs.id, messages()[0].attrs.id);
+          });
+        }
+      },
+
+      {
+        desc: "# send with second credentials uses its own connection",
+        run: function (env, test) {
+          const connectCount = env.xmpp.connect.numCalled;
+          const sendCount = env.xmpp.conn.send.numCalled;
+          env.platform.send(env.job2.send, env.credentials2, function (err, result) {
+            test.assertTypeAnd(err, 'undefined', err);
+            const second = env.xmpp.instances[env.xmpp.instances.length - 1];
+            test.assertAnd(second === env.xmpp, false);
+            test.assertAnd(second.connect.numCalled, 1);
+            // subscribing to and fetching bookmarks, then the message
+            test.assertAnd(second.conn.send.numCalled, 3);
+            test.assertAnd(env.xmpp.connect.numCalled, connectCount);
+            test.assertAnd(env.xmpp.conn.send.numCalled, sendCount);
+            test.assertAnd(Object.keys(env.platform.__connections).sort(),
+                ['testingham@jabber.net/home', 'testingturkey@jabber.net/home']);
+            test.assert(env.platform.__getConnection(env.actor2['@id']).fullJid,
+                'testingturkey@jabber.net/home');
+          });
+        }
+      },
+
+      {
+        desc: "# each connection only hears its own client",
+        run: function (env, test) {
+          const ltx = require('ltx');
+          const second = env.platform.__getConnection(env.actor2['@id']).client;
+          const received = [];
+          env.platform.sendToClient = function (msg) {
+            received.push(msg);
+          };
+          second.triggerEvent('stanza', ltx.parse('<message type="chat" from="homer@jabber.net/Home" to="testingturkey@jabber.net/home"><body>turkey?</body></message>'));
+          env.xmpp.triggerEvent('stanza', ltx.parse('<message type="chat" from="homer@jabber.net/Home" to="testingham@jabber.net/home"><body>ham?</body></message>'));
+          test.assertAnd(received.length, 2);
+          test.assertAnd([received[0].object.content, received[0].target['@id']], ['turkey?', 'testingturkey@jabber.net']);
+          test.assert([received[1].object.content, received[1].target['@id']], ['ham?', 'testingham@jabber.net']);
+        }
+      },
+
+      {
+        desc: "# disconnecting one connection leaves the others alone",
+        run: function (env, test) {
+          const connection = env.platform.__getConnection(env.actor2['@id']);
+          const second = connection.client;
+          const disconnectCount = env.xmpp.disconnect.numCalled;
+          const listeners = env.xmpp.listenerCount('stanza');
+          const sent = [];
+          second.conn.send = function (stanza) {
+            sent.push(stanza);
+          };
+          connection.disconnect();
+          // our subscription to bookmark changes doesn't outlive us
+          test.assertAnd(sent.length, 1);
+          test.assertAnd(sent[0].getChild('pubsub', 'http://jabber.org/protocol/pubsub').getChild('unsubscribe').attrs,
+                         { node: 'urn:xmpp:bookmarks:1', jid: connection.fullJid });
+          test.assertAnd(second.disconnect.numCalled, 1);
+          test.assertAnd(second.listenerCount('stanza'), 0);
+          test.assertAnd(env.xmpp.disconnect.numCalled, disconnectCount);
+          test.assertAnd(env.xmpp.listenerCount('stanza'), listeners);
+          test.assertTypeAnd(env.platform.__getConnection(env.actor2['@id']), 'undefined');
+          test.assert(env.platform.__getConnection(env.actor['@id']).closed, false);
+        }
+      },
+
+      {
+        desc: "# a failed connect is reported to every job waiting on it, others carry on",
+        run: function (env, test) {
+          const create = env.xmpp.SimpleXMPP;
+          env.xmpp.SimpleXMPP = function () {
+            const client = create();
+            client.connect = new test.Stub(function () {
+              setTimeout(function () {
+                client.triggerEvent('error', 'XMPP authentication failure');
+              }, 0);
+            });
+            return client;
+          };
+          const credentials = {
+            actor: { '@type': 'person', '@id': 'testingbacon@jabber.net' },
+            object: { '@type': 'credentials', username: 'testingbacon', server: 'jabber.net', password: 'wrong', resource: 'home' }
+          };
+          const job = { actor: credentials.actor, target: env.target.mrfoobar, object: { '@type': 'message', content: 'hi' } };
+          const errors = [];
+          env.platform.send(job, credentials, function (err) {
+            errors.push(err);
+          });
+          env.platform.send(job, credentials, function (err) {
+            env.xmpp.SimpleXMPP = create;
+            errors.push(err);
+            test.assertAnd(errors, [
+              'failed connecting testingbacon@jabber.net/home : XMPP authentication failure',
+              'failed connecting testingbacon@jabber.net/home : XMPP authentication failure'
+            ]);
+            test.assertTypeAnd(env.platform.__getConnection(credentials.actor['@id']), 'undefined');
+            env.platform.send(env.job.send.chat, env.credentials, function (err) {
+              test.assertType(err, 'undefined', err);
+            });
           });
         }
       }